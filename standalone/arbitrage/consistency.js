@@ -0,0 +1,247 @@
+// Cross-market consistency checks for the markets of one event
+import { fetchMarkets, getMarketType } from '../market-data/index.js';
+import { fetchOrdersMulti, OrderBook } from '../order-data/index.js';
+import { ODDS_PRECISION } from '../odds/index.js';
+import { sizeStakes } from './sizing.js';
+
+// Spread type that settles on the same period as each moneyline type
+const MONEYLINE_SPREADS = {
+  52: 3,
+  226: 342,
+  63: 53,
+  202: 64,
+  203: 65,
+  204: 66,
+  1618: 281
+};
+
+/**
+ * Groups an event's markets by type, with each type's lines sorted ascending
+ * @param {Array<Object>} markets Markets from fetchMarkets (with onlyMainLine: false for alternate lines)
+ * @returns {Object} Object mapping type ID to { typeName, typeCategory, markets }
+ *
+ * Example:
+ * groupByType(markets);
+ * // {
+ * //   226: { typeName: 'Moneyline (incl. Overtime)', typeCategory: 'moneyline', markets: [...] },
+ * //   342: { typeName: 'Spread (incl. Overtime)', typeCategory: 'spread', markets: [...] }, // lines -6.5, -4.5
+ * //   28: { typeName: 'Total (incl. Overtime)', typeCategory: 'totals', markets: [...] } // lines 221.5, 225.5
+ * // }
+ */
+export function groupByType(markets) {
+  const groups = {};
+  for (const market of markets) {
+    if (!groups[market.type]) {
+      const { name, category } = getMarketType(market.type);
+      groups[market.type] = { typeName: name, typeCategory: category, markets: [] };
+    }
+    groups[market.type].markets.push(market);
+  }
+
+  for (const group of Object.values(groups)) {
+    group.markets.sort((a, b) => Number(a.line ?? 0) - Number(b.line ?? 0));
+  }
+  return groups;
+}
+
+/**
+ * Pairs of (market, outcome) where the first winning means the second wins too
+ *
+ * - Alternate spreads: outcome one covering a line covers every higher line
+ * - Alternate totals: over a line is over every lower line
+ * - Moneyline and spread of the same period: covering a negative handicap means winning,
+ *   and winning means covering a positive one. A 0 handicap is the same bet as the moneyline.
+ *
+ * @param {Object} groups Markets grouped by groupByType
+ * @returns {Array<{check: string, relation: string, from: {market: Object, outcome: number}, to: {market: Object, outcome: number}}>}
+ */
+export function findImplications(groups) {
+  const implications = [];
+  const add = (check, relation, fromMarket, fromOutcome, toMarket, toOutcome) => {
+    implications.push({
+      check,
+      relation,
+      from: { market: fromMarket, outcome: fromOutcome },
+      to: { market: toMarket, outcome: toOutcome }
+    });
+  };
+
+  for (const [type, group] of Object.entries(groups)) {
+    const lines = group.markets.filter(market => market.line !== undefined && market.line !== null);
+
+    for (let i = 0; i < lines.length; i++) {
+      for (let j = i + 1; j < lines.length; j++) {
+        const [lower, higher] = [lines[i], lines[j]];
+        if (Number(lower.line) === Number(higher.line)) continue;
+
+        if (group.typeCategory === 'spread') {
+          add('spread-ladder', 'implies', lower, 1, higher, 1);
+        } else if (group.typeCategory === 'totals') {
+          add('totals-ladder', 'implies', higher, 1, lower, 1);
+        }
+      }
+    }
+
+    const spreads = groups[MONEYLINE_SPREADS[type]];
+    if (group.typeCategory !== 'moneyline' || !spreads) continue;
+
+    for (const moneyline of group.markets) {
+      for (const spread of spreads.markets) {
+        const line = Number(spread.line);
+        if (line < 0) {
+          add('moneyline-spread', 'implies', spread, 1, moneyline, 1);
+        } else if (line > 0) {
+          add('moneyline-spread', 'implies', moneyline, 1, spread, 1);
+        } else {
+          add('moneyline-spread', 'equivalent', moneyline, 1, spread, 1);
+          add('moneyline-spread', 'equivalent', spread, 1, moneyline, 1);
+        }
+      }
+    }
+  }
+
+  return implications;
+}
+
+/**
+ * Implied probability of an outcome at the middle of the book
+ * @param {OrderBook} book The market's book
+ * @param {number} outcome 1 or 2
+ * @returns {bigint|null} Midpoint of the cost to back the outcome and to back the other one, 10^20 precision
+ */
+function midOdds(book, outcome) {
+  const back = book.bestOdds(outcome);
+  const lay = book.bestOdds(outcome === 1 ? 2 : 1);
+  if (!back || !lay) return null;
+  return (back.takerOdds + ODDS_PRECISION - lay.takerOdds) / 2n;
+}
+
+/**
+ * Checks an event's books against each other
+ *
+ * For every implication "A wins means B wins", B should not be priced below A. The trade
+ * that profits from a mispricing backs B and backs the other outcome of A; at least one of
+ * them wins whatever happens. When the two cost less than 100% together it is an arbitrage.
+ * Pushes and voids are assumed to refund the stake.
+ *
+ * @param {Array<Object>} markets Markets of one event, from fetchMarkets
+ * @param {Object} books Object mapping market hash to an OrderBook (or an array of its orders)
+ * @param {Object} [options={}] Report thresholds
+ * @param {string|number|bigint} [options.minGap=0] Report when A's mid odds exceed B's by more than this (10^20 precision)
+ * @param {string|number|bigint} [options.maxStake] Cap the total stake of arbitrage sizing
+ * @returns {Array<Object>} Findings, arbitrage first, then by gap
+ *   - check: 'moneyline-spread', 'spread-ladder' or 'totals-ladder'
+ *   - relation: 'implies' or 'equivalent'
+ *   - description: e.g. 'Boston Celtics -6.5 implies Boston Celtics -4.5'
+ *   - from / to: { marketHash, outcome, name, midOdds }
+ *   - midGap: from.midOdds - to.midOdds, or null when a side of either book is empty
+ *   - edge: 100% minus the cost of both legs (positive for arbitrage)
+ *   - arbitrage: Whether edge is positive
+ *   - legs: [{ marketHash, outcome, name, takerOdds, liquidity, orders }] for the two bets to place
+ *   - sizing: Stakes for an arbitrage (see sizeStakes), otherwise null
+ */
+export function checkConsistency(markets, books, options = {}) {
+  const minGap = BigInt(options.minGap ?? 0);
+  const built = new Map();
+  const bookFor = market => {
+    const orders = books[market.marketHash];
+    if (!orders) return null;
+    if (orders instanceof OrderBook) return orders;
+    if (!built.has(market.marketHash)) built.set(market.marketHash, new OrderBook(orders));
+    return built.get(market.marketHash);
+  };
+  const outcomeName = (market, outcome) => (outcome === 1 ? market.outcomeOneName : market.outcomeTwoName);
+
+  const findings = [];
+  for (const implication of findImplications(groupByType(markets))) {
+    const { from, to } = implication;
+    const fromBook = bookFor(from.market);
+    const toBook = bookFor(to.market);
+    if (!fromBook || !toBook) continue;
+
+    const fromOther = from.outcome === 1 ? 2 : 1;
+    const backTo = toBook.bestOdds(to.outcome);
+    const backFromOther = fromBook.bestOdds(fromOther);
+    if (!backTo || !backFromOther) continue;
+
+    const fromMid = midOdds(fromBook, from.outcome);
+    const toMid = midOdds(toBook, to.outcome);
+    const midGap = fromMid !== null && toMid !== null ? fromMid - toMid : null;
+    const edge = ODDS_PRECISION - backTo.takerOdds - backFromOther.takerOdds;
+    const arbitrage = edge > 0n;
+    if (!arbitrage && (midGap === null || midGap <= minGap)) continue;
+
+    const leg = (book, market, outcome, level) => ({
+      marketHash: market.marketHash,
+      outcome,
+      name: outcomeName(market, outcome),
+      takerOdds: level.takerOdds,
+      liquidity: level.liquidity,
+      orders: book.ordersAt(outcome, level.takerOdds)
+    });
+
+    findings.push({
+      check: implication.check,
+      relation: implication.relation,
+      description: `${outcomeName(from.market, from.outcome)} ${implication.relation === 'equivalent' ? 'is the same bet as' : 'implies'} ${outcomeName(to.market, to.outcome)}`,
+      from: { marketHash: from.market.marketHash, outcome: from.outcome, name: outcomeName(from.market, from.outcome), midOdds: fromMid },
+      to: { marketHash: to.market.marketHash, outcome: to.outcome, name: outcomeName(to.market, to.outcome), midOdds: toMid },
+      midGap,
+      edge,
+      arbitrage,
+      legs: [
+        leg(toBook, to.market, to.outcome, backTo),
+        leg(fromBook, from.market, fromOther, backFromOther)
+      ],
+      sizing: arbitrage ? sizeStakes(backTo, backFromOther, options.maxStake) : null
+    });
+  }
+
+  return findings.sort((a, b) => {
+    if (a.arbitrage !== b.arbitrage) return a.arbitrage ? -1 : 1;
+    const gapA = a.midGap ?? a.edge;
+    const gapB = b.midGap ?? b.edge;
+    return gapB > gapA ? 1 : gapB < gapA ? -1 : 0;
+  });
+}
+
+/**
+ * Fetch an event's markets and books and check them against each other
+ * @param {string} eventId - The event's ID (sportXEventId)
+ * @param {Object} [options={}] Options
+ * @param {Object} [options.orderFilters] Filters applied to the orders first (see filterOrders), e.g. excludeMaker
+ * @param {string|number|bigint} [options.minGap] See checkConsistency
+ * @param {string|number|bigint} [options.maxStake] See checkConsistency
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @returns {Promise<{eventId: string, groups: Object, books: Object, findings: Array<Object>}>}
+ *   Markets grouped by type, books by market hash, and the findings of checkConsistency
+ * @throws {RateLimitError|ApiError|NetworkError} When a request fails after retries
+ *
+ * Example:
+ * const { findings } = await analyzeEvent('L2hN5aXd', { orderFilters: { excludeMaker: wallet.address } });
+ * for (const finding of findings) {
+ *   console.log(finding.description, fromPercentageOdds(finding.midGap, 'percent'));
+ * }
+ */
+export async function analyzeEvent(eventId, options = {}) {
+  const { orderFilters = {}, minGap, maxStake, baseUrl, apiKey } = options;
+  const request = { baseUrl, apiKey };
+
+  const markets = await fetchMarkets(eventId, { ...request, onlyMainLine: false });
+  const ordersByMarket = markets.length > 0
+    ? await fetchOrdersMulti(markets.map(market => market.marketHash), { ...request, ...orderFilters, asModels: true })
+    : {};
+
+  const books = {};
+  for (const market of markets) {
+    books[market.marketHash] = new OrderBook(ordersByMarket[market.marketHash] || []);
+  }
+
+  return {
+    eventId,
+    groups: groupByType(markets),
+    books,
+    findings: checkConsistency(markets, books, { minGap, maxStake })
+  };
+}
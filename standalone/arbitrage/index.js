@@ -0,0 +1,267 @@
+// Two-way arbitrage scanner for SX Bet markets
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { fetchSports, fetchLeagues, fetchFixtures, fetchMarkets } from '../market-data/index.js';
+import { fetchOrdersMulti, OrderBook } from '../order-data/index.js';
+import { ODDS_PRECISION, fromPercentageOdds, toPercentageOdds } from '../odds/index.js';
+import { toBaseAmount, toNominalAmount } from '../utils/index.js';
+import { sizeStakes } from './sizing.js';
+
+export { sizeStakes };
+export { groupByType, findImplications, checkConsistency, analyzeEvent } from './consistency.js';
+
+// Markets per /orders request
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Checks a market's book for a two-way arbitrage at the best taker odds
+ *
+ * Backing both outcomes is risk-free when the best taker implied probabilities sum to
+ * less than 100%. Stakes are split in proportion to each side's implied probability so
+ * both outcomes pay the same, and sized to the liquidity at the best level of each side.
+ *
+ * @param {OrderBook|Array<Object|Order>} orders Order book for one market, or its orders
+ * @param {Object} [options={}] Thresholds
+ * @param {string|number|bigint} [options.minEdge=0] Minimum edge (100% minus the implied sum), 10^20 precision
+ * @param {string|number|bigint} [options.minSize=0] Minimum total stake at full size, in base units
+ * @param {string|number|bigint} [options.maxStake] Cap the total stake, in base units (e.g. your bankroll)
+ * @returns {Object|null} Opportunity, or null when there is none above the thresholds
+ *   - impliedSum / edge: Sum of the best taker odds and 100% minus it (bigint, 10^20 precision)
+ *   - totalStake: Stake on both sides combined (bigint)
+ *   - payout: Payout whichever outcome wins (bigint, the smaller side after rounding)
+ *   - guaranteedProfit: payout - totalStake (bigint)
+ *   - limitingOutcome: Outcome whose liquidity caps the size (1 or 2), or null when maxStake does
+ *   - outcomeOne / outcomeTwo: { takerOdds, stake, payout, liquidity } for each side
+ */
+export function findArbitrage(orders, options = {}) {
+  const book = orders instanceof OrderBook ? orders : new OrderBook(orders);
+  const one = book.bestOdds(1);
+  const two = book.bestOdds(2);
+  if (!one || !two) return null;
+
+  const impliedSum = one.takerOdds + two.takerOdds;
+  const edge = ODDS_PRECISION - impliedSum;
+  if (edge <= 0n || edge < BigInt(options.minEdge ?? 0)) return null;
+
+  const sizing = sizeStakes(one, two, options.maxStake);
+  if (sizing.totalStake <= 0n || sizing.totalStake < BigInt(options.minSize ?? 0)) return null;
+
+  return {
+    impliedSum,
+    edge,
+    totalStake: sizing.totalStake,
+    payout: sizing.payout,
+    guaranteedProfit: sizing.guaranteedProfit,
+    limitingOutcome: sizing.limitingLeg,
+    outcomeOne: sizing.legs[0],
+    outcomeTwo: sizing.legs[1]
+  };
+}
+
+/**
+ * Scans active markets for two-way arbitrage
+ *
+ * Walks sports, leagues, fixtures and markets with the market-data functions, then loads
+ * the books in batches with fetchOrdersMulti. Markets are only fetched for the sports and
+ * leagues asked for, and market-data's cache keeps repeated scans cheap.
+ *
+ * @param {Object} [options={}] Scan options
+ * @param {number[]} [options.sports] Sport IDs to scan (default: all)
+ * @param {number[]} [options.leagues] League IDs to scan (default: all active leagues of the sports)
+ * @param {boolean} [options.includeLive=false] Include fixtures that have already started
+ * @param {Date|string|number|null} [options.to] Latest fixture start date (see fetchFixtures)
+ * @param {Array<string|number>} [options.types] Market categories or type IDs (see fetchMarkets)
+ * @param {boolean} [options.onlyMainLine=true] Only scan main lines
+ * @param {Object} [options.orderFilters] Filters applied to the orders first (see filterOrders), e.g. excludeMaker
+ * @param {string|number|bigint} [options.minEdge] Minimum edge (see findArbitrage)
+ * @param {string|number|bigint} [options.minSize] Minimum total stake (see findArbitrage)
+ * @param {string|number|bigint} [options.maxStake] Total stake cap (see findArbitrage)
+ * @param {number} [options.batchSize=25] Markets per /orders request
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @returns {Promise<Array<Object>>} Opportunities (see findArbitrage) with marketHash and market, best edge first
+ * @throws {RateLimitError|ApiError|NetworkError} When a request fails after retries
+ *
+ * Example:
+ * const opportunities = await scanArbitrage({
+ *   sports: [1],
+ *   minEdge: toPercentageOdds('0.5', 'percent'), // 0.5%
+ *   minSize: 10000000n,                          // 10 USDC
+ *   orderFilters: { excludeMaker: wallet.address, minSecondsToExpiry: 10 }
+ * });
+ */
+export async function scanArbitrage(options = {}) {
+  const {
+    sports,
+    leagues,
+    includeLive = false,
+    to,
+    types,
+    onlyMainLine = true,
+    orderFilters = {},
+    minEdge,
+    minSize,
+    maxStake,
+    batchSize = DEFAULT_BATCH_SIZE,
+    baseUrl,
+    apiKey
+  } = options;
+  const request = { baseUrl, apiKey };
+
+  let leagueIds = leagues;
+  if (!leagueIds) {
+    const sportIds = sports || (await fetchSports(request)).map(sport => sport.sportId);
+    const perSport = await Promise.all(sportIds.map(sportId => fetchLeagues(sportId, request)));
+    leagueIds = perSport.flat().map(league => league.leagueId);
+  }
+  if (leagueIds.length === 0) return [];
+
+  const fixtures = await fetchFixtures(leagueIds, { ...request, includeLive, to });
+  const markets = [];
+  for (const fixture of fixtures) {
+    markets.push(...await fetchMarkets(fixture.eventId, { ...request, types, onlyMainLine }));
+  }
+
+  const opportunities = [];
+  for (let i = 0; i < markets.length; i += batchSize) {
+    const batch = markets.slice(i, i + batchSize);
+    const ordersByMarket = await fetchOrdersMulti(
+      batch.map(market => market.marketHash),
+      { ...request, ...orderFilters, asModels: true }
+    );
+
+    for (const market of batch) {
+      const orders = ordersByMarket[market.marketHash];
+      if (!orders) continue;
+
+      const opportunity = findArbitrage(orders, { minEdge, minSize, maxStake });
+      if (opportunity) {
+        opportunities.push({ marketHash: market.marketHash, market, ...opportunity });
+      }
+    }
+  }
+
+  return opportunities.sort((a, b) => (b.edge > a.edge ? 1 : b.edge < a.edge ? -1 : 0));
+}
+
+/**
+ * Runs scanArbitrage on an interval
+ * @extends EventEmitter
+ *
+ * Events:
+ * - `scan` (opportunities): After every scan, with all opportunities found
+ * - `opportunity` (opportunity): For each opportunity in a scan
+ * - `error` (error): When a scan fails; the scanner keeps running
+ */
+export class ArbitrageScanner extends EventEmitter {
+  /**
+   * Creates a new scanner
+   * @param {Object} [options={}] scanArbitrage options, plus:
+   * @param {number} [options.interval=30000] Milliseconds between the end of one scan and the start of the next
+   */
+  constructor(options = {}) {
+    super();
+
+    const { interval = 30000, ...scanOptions } = options;
+    this.interval = interval;
+    this.scanOptions = scanOptions;
+    this.timer = null;
+    this.running = false;
+    this.lastScan = null;
+  }
+
+  /**
+   * Starts scanning. The first scan runs immediately.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.runScan();
+  }
+
+  /**
+   * Stops scanning after the current scan, if any
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Runs one scan and schedules the next
+   * @private
+   */
+  async runScan() {
+    try {
+      const opportunities = await scanArbitrage(this.scanOptions);
+      this.lastScan = { time: new Date(), opportunities };
+      for (const opportunity of opportunities) {
+        this.emit('opportunity', opportunity);
+      }
+      this.emit('scan', opportunities);
+    } catch (error) {
+      // Without a listener, EventEmitter would throw and stop the loop
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      } else {
+        console.error('Arbitrage scan failed:', error.message);
+      }
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.runScan(), this.interval);
+    }
+  }
+}
+
+/**
+ * Prints an opportunity to the console
+ * @param {Object} opportunity Opportunity from scanArbitrage
+ */
+export function printOpportunity(opportunity) {
+  const { market, outcomeOne, outcomeTwo } = opportunity;
+  const amount = value => toNominalAmount(value, { displayDecimals: 2 });
+
+  console.log(`\n${market.teamOneName} vs ${market.teamTwoName} (${market.outcomeOneName} / ${market.outcomeTwoName})`);
+  console.log(`  Market: ${opportunity.marketHash}`);
+  console.log(`  Edge: ${fromPercentageOdds(opportunity.edge, 'percent')}`);
+  console.log(`  ${market.outcomeOneName}: ${amount(outcomeOne.stake)} USDC at ${fromPercentageOdds(outcomeOne.takerOdds)}`);
+  console.log(`  ${market.outcomeTwoName}: ${amount(outcomeTwo.stake)} USDC at ${fromPercentageOdds(outcomeTwo.takerOdds)}`);
+  console.log(`  Profit: ${amount(opportunity.guaranteedProfit)} USDC on ${amount(opportunity.totalStake)} USDC`);
+}
+
+// Command line: node standalone/arbitrage/index.js [--watch] [--interval 30] [--min-edge 0.5] [--min-size 10] [--live]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const options = {
+    includeLive: args.includes('--live'),
+    minEdge: flag('--min-edge') === undefined ? undefined : toPercentageOdds(flag('--min-edge'), 'percent'),
+    minSize: flag('--min-size') === undefined ? undefined : toBaseAmount(flag('--min-size')),
+    apiKey: process.env.SX_BET_API_KEY
+  };
+
+  if (args.includes('--watch')) {
+    const scanner = new ArbitrageScanner({ ...options, interval: Number(flag('--interval') || 30) * 1000 });
+    scanner.on('scan', opportunities => {
+      console.log(`\n[${new Date().toISOString()}] ${opportunities.length} opportunities`);
+      opportunities.forEach(printOpportunity);
+    });
+    scanner.on('error', error => console.error('Scan failed:', error.message));
+    process.on('SIGINT', () => scanner.stop());
+    scanner.start();
+  } else {
+    scanArbitrage(options).then(opportunities => {
+      console.log(`${opportunities.length} opportunities`);
+      opportunities.forEach(printOpportunity);
+    }).catch(error => {
+      console.error('Scan failed:', error.message);
+      process.exitCode = 1;
+    });
+  }
+}
@@ -0,0 +1,48 @@
+// Stake sizing for two bets that together cover every result
+import { ODDS_PRECISION } from '../odds/index.js';
+
+/**
+ * Splits stakes across two legs so both pay the same, sized to the smaller leg's liquidity
+ * @param {{takerOdds: bigint, liquidity: bigint}} one First leg (e.g. a level from OrderBook.levels)
+ * @param {{takerOdds: bigint, liquidity: bigint}} two Second leg
+ * @param {string|number|bigint} [maxStake] Cap the total stake, in base units
+ * @returns {Object} Sizing
+ *   - totalStake, payout (the smaller leg's after rounding), guaranteedProfit (payout - totalStake)
+ *   - limitingLeg: 1 or 2 for the leg whose liquidity caps the size, or null when maxStake does
+ *   - legs: [{ takerOdds, stake, payout, liquidity }] for both legs
+ */
+export function sizeStakes(one, two, maxStake) {
+  const payoutOne = one.liquidity * ODDS_PRECISION / one.takerOdds;
+  const payoutTwo = two.liquidity * ODDS_PRECISION / two.takerOdds;
+  let targetPayout = payoutOne < payoutTwo ? payoutOne : payoutTwo;
+  let limitingLeg = payoutOne < payoutTwo ? 1 : 2;
+
+  if (maxStake !== undefined) {
+    const cappedPayout = BigInt(maxStake) * ODDS_PRECISION / (one.takerOdds + two.takerOdds);
+    if (cappedPayout < targetPayout) {
+      targetPayout = cappedPayout;
+      limitingLeg = null;
+    }
+  }
+
+  const legs = [one, two].map(level => {
+    const stake = targetPayout * level.takerOdds / ODDS_PRECISION;
+    return {
+      takerOdds: level.takerOdds,
+      stake,
+      payout: stake * ODDS_PRECISION / level.takerOdds,
+      liquidity: level.liquidity
+    };
+  });
+
+  const totalStake = legs[0].stake + legs[1].stake;
+  const payout = legs[0].payout < legs[1].payout ? legs[0].payout : legs[1].payout;
+
+  return {
+    totalStake,
+    payout,
+    guaranteedProfit: payout - totalStake,
+    limitingLeg,
+    legs
+  };
+}
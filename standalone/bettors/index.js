@@ -0,0 +1,355 @@
+// Bettor activity and large-trade tracking
+import { EventEmitter } from 'events';
+import { fetchMarkets } from '../market-data/index.js';
+import { fetchAllTrades } from '../trade-data/index.js';
+import { Trade } from '../models/index.js';
+import { ODDS_PRECISION } from '../odds/index.js';
+
+const DEFAULTS = {
+  interval: 30000
+};
+
+/**
+ * Identifies a trade across polls. Makers and takers of the same fill share a fillHash.
+ * @param {Trade} trade Trade model
+ * @returns {string} Key
+ */
+function tradeKey(trade) {
+  return `${trade.fillHash}|${trade.orderHash}|${trade.maker}`;
+}
+
+function toTrade(trade) {
+  return trade instanceof Trade ? trade : new Trade(trade);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Result of a trade for its bettor
+ *
+ * Each trade is one side of a fill: `bettor` placed it, `bettingOutcomeOne` is the
+ * outcome they backed and `odds` the implied probability they paid, for makers and
+ * takers alike. Once the market settles, `outcome` holds the winning outcome (0 for void).
+ *
+ * @param {Object|Trade} trade Raw trade or Trade model
+ * @returns {{result: 'won'|'lost'|'void'|'pending', profit: bigint|null}} Profit in base units
+ *   (payout minus stake when won, minus the stake when lost, 0 when void, null while pending)
+ */
+export function tradeResult(trade) {
+  const model = toTrade(trade);
+  if (!model.settled) return { result: 'pending', profit: null };
+
+  const outcome = Number(model.outcome);
+  if (outcome !== 1 && outcome !== 2) return { result: 'void', profit: 0n };
+
+  const backed = model.bettingOutcomeOne ? 1 : 2;
+  if (outcome !== backed) return { result: 'lost', profit: -model.stake };
+  return { result: 'won', profit: model.stake * ODDS_PRECISION / model.odds - model.stake };
+}
+
+/**
+ * Trades with a stake at or above a threshold, largest first
+ * @param {Array<Object|Trade>} trades Raw trades or Trade models
+ * @param {string|number|bigint} minStake Threshold in base units
+ * @returns {Trade[]}
+ */
+export function findLargeTrades(trades, minStake) {
+  const threshold = BigInt(minStake);
+  return trades
+    .map(toTrade)
+    .filter(trade => trade.stake >= threshold)
+    .sort((a, b) => (b.stake > a.stake ? 1 : b.stake < a.stake ? -1 : 0));
+}
+
+/**
+ * Aggregates trades by bettor, across any number of markets
+ * @param {Array<Object|Trade>} trades Raw trades or Trade models, maker and taker trades alike
+ * @param {Object} [options={}] Aggregation options
+ * @param {Object} [options.kickoffs] Object mapping market hash to its game time (unix seconds);
+ *   without a market's kickoff, its trades are left out of the timing figures
+ * @param {string|number|bigint} [options.largeStake] Count trades with at least this stake (base units)
+ * @returns {Array<Object>} Stats per bettor, largest volume first
+ *   - bettor: Address as returned by the API
+ *   - tradeCount / makerTradeCount: Trades, and how many of them were maker trades
+ *   - marketCount / eventCount: Distinct markets and events traded
+ *   - volume: Total stake (bigint)
+ *   - averageOdds: Mean implied probability paid per trade (bigint, 10^20 precision)
+ *   - vwap: Stake-weighted implied probability, total stake over total payout (bigint)
+ *   - won / lost / void / pending: Trade counts by result (see tradeResult)
+ *   - winRate: won / (won + lost), or null before any settle
+ *   - profit: Profit on settled trades (bigint)
+ *   - largeTradeCount / largestStake: Trades of at least largeStake, and the biggest stake
+ *   - medianSecondsBeforeKickoff: Typical time between bet and kickoff, negative for in-play bets
+ *   - liveShare: Share of timed trades placed after kickoff (0 to 1)
+ *   - firstTrade / lastTrade: Unix seconds
+ *
+ * Example:
+ * const bettors = aggregateBettors(trades, { kickoffs, largeStake: toBaseAmount(1000) });
+ * const sharps = bettors.filter(b => b.won + b.lost >= 50 && b.profit > 0n);
+ */
+export function aggregateBettors(trades, options = {}) {
+  const { kickoffs = {} } = options;
+  const largeStake = options.largeStake === undefined ? null : BigInt(options.largeStake);
+  const stats = new Map();
+
+  for (const trade of trades.map(toTrade)) {
+    const key = trade.bettor.toLowerCase();
+    if (!stats.has(key)) {
+      stats.set(key, {
+        bettor: trade.bettor,
+        tradeCount: 0,
+        makerTradeCount: 0,
+        markets: new Set(),
+        events: new Set(),
+        volume: 0n,
+        oddsSum: 0n,
+        payout: 0n,
+        won: 0,
+        lost: 0,
+        void: 0,
+        pending: 0,
+        profit: 0n,
+        largeTradeCount: 0,
+        largestStake: 0n,
+        timings: [],
+        firstTrade: trade.betTime,
+        lastTrade: trade.betTime
+      });
+    }
+
+    const bettor = stats.get(key);
+    bettor.tradeCount += 1;
+    if (trade.maker) bettor.makerTradeCount += 1;
+    bettor.markets.add(trade.marketHash);
+    if (trade.sportXeventId) bettor.events.add(trade.sportXeventId);
+    bettor.volume += trade.stake;
+    bettor.oddsSum += trade.odds;
+    bettor.payout += trade.stake * ODDS_PRECISION / trade.odds;
+
+    const { result, profit } = tradeResult(trade);
+    bettor[result] += 1;
+    if (profit !== null) bettor.profit += profit;
+
+    if (largeStake !== null && trade.stake >= largeStake) bettor.largeTradeCount += 1;
+    if (trade.stake > bettor.largestStake) bettor.largestStake = trade.stake;
+
+    const kickoff = kickoffs[trade.marketHash];
+    if (kickoff !== undefined && kickoff !== null) bettor.timings.push(Number(kickoff) - trade.betTime);
+
+    bettor.firstTrade = Math.min(bettor.firstTrade, trade.betTime);
+    bettor.lastTrade = Math.max(bettor.lastTrade, trade.betTime);
+  }
+
+  return Array.from(stats.values())
+    .map(({ markets, events, oddsSum, payout, timings, ...bettor }) => ({
+      ...bettor,
+      marketCount: markets.size,
+      eventCount: events.size,
+      averageOdds: oddsSum / BigInt(bettor.tradeCount),
+      vwap: payout > 0n ? bettor.volume * ODDS_PRECISION / payout : null,
+      winRate: bettor.won + bettor.lost > 0 ? bettor.won / (bettor.won + bettor.lost) : null,
+      medianSecondsBeforeKickoff: median(timings),
+      liveShare: timings.length > 0 ? timings.filter(seconds => seconds < 0).length / timings.length : null
+    }))
+    .sort((a, b) => (b.volume > a.volume ? 1 : b.volume < a.volume ? -1 : 0));
+}
+
+/**
+ * Fetch the game time of every market the trades belong to
+ *
+ * Markets are looked up by event with fetchMarkets, which only returns active markets,
+ * so markets of finished events are missing from the result.
+ *
+ * @param {Array<Object|Trade>} trades Raw trades or Trade models
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @returns {Promise<Object>} Object mapping market hash to game time (unix seconds)
+ * @throws {RateLimitError|ApiError|NetworkError} When a request fails after retries
+ */
+export async function fetchKickoffs(trades, options = {}) {
+  const { baseUrl, apiKey } = options;
+  const eventIds = new Set(trades.map(trade => trade.sportXeventId).filter(Boolean));
+
+  const kickoffs = {};
+  for (const eventId of eventIds) {
+    const markets = await fetchMarkets(eventId, { baseUrl, apiKey, onlyMainLine: false });
+    for (const market of markets) {
+      if (market.gameTime !== undefined && market.gameTime !== null) {
+        kickoffs[market.marketHash] = Number(market.gameTime);
+      }
+    }
+  }
+  return kickoffs;
+}
+
+/**
+ * Fetch the trades of some markets and aggregate them by bettor
+ * @param {string|string[]} marketHash - Market hash or array of market hashes
+ * @param {Object} [options={}] Options for fetchAllTrades (e.g. startDate, maxItems), plus:
+ * @param {boolean} [options.includeMakers=true] Include maker trades; false for taker trades only
+ * @param {string|number|bigint} [options.largeStake] Flag trades with at least this stake (base units)
+ * @returns {Promise<{bettors: Array<Object>, largeTrades: Trade[]}>} Stats from aggregateBettors
+ *   (timed against the markets' kickoffs), and the large trades when largeStake is set
+ * @throws {RateLimitError|ApiError|NetworkError} When a request fails after retries
+ *
+ * Example:
+ * const { bettors, largeTrades } = await fetchBettorActivity(marketHashes, { largeStake: toBaseAmount(5000) });
+ * console.table(bettors.slice(0, 10).map(b => ({ bettor: b.bettor, volume: toNominalAmount(b.volume), winRate: b.winRate })));
+ */
+export async function fetchBettorActivity(marketHash, options = {}) {
+  const { includeMakers = true, largeStake, ...fetchOptions } = options;
+  const trades = await fetchAllTrades(marketHash, {
+    ...fetchOptions,
+    asModels: true,
+    ...(includeMakers ? { maker: undefined } : {})
+  });
+
+  const kickoffs = await fetchKickoffs(trades, { baseUrl: fetchOptions.baseUrl, apiKey: fetchOptions.apiKey });
+  return {
+    bettors: aggregateBettors(trades, { kickoffs, largeStake }),
+    largeTrades: largeStake === undefined ? [] : findLargeTrades(trades, largeStake)
+  };
+}
+
+/**
+ * Polls for trades by watched bettors and for large trades on watched markets
+ * @extends EventEmitter
+ *
+ * Only trades placed after start() are reported.
+ *
+ * Events:
+ * - `trade` (trade): A new trade (Trade model) by a watched bettor, maker or taker
+ * - `largeTrade` (trade): A new trade on a watched market with a stake of at least minStake
+ * - `error` (error): When a poll fails; the watcher keeps running
+ */
+export class BettorWatcher extends EventEmitter {
+  /**
+   * Creates a new watcher
+   * @param {Object} [config={}] Configuration options
+   * @param {string[]} [config.bettors=[]] Bettor addresses to follow on every market
+   * @param {string[]} [config.markets=[]] Market hashes to watch for large trades
+   * @param {string|number|bigint} [config.minStake] Large trade threshold in base units; required with markets
+   * @param {number} [config.interval=30000] Milliseconds between polls
+   * @param {string} [config.baseUrl] API base URL (defaults to mainnet)
+   * @param {string} [config.apiKey] SX Bet API key
+   */
+  constructor(config = {}) {
+    super();
+
+    this.bettors = config.bettors || [];
+    this.markets = config.markets || [];
+    if (this.markets.length > 0 && config.minStake === undefined) {
+      throw new Error('minStake is required to watch markets');
+    }
+
+    this.minStake = config.minStake === undefined ? null : BigInt(config.minStake);
+    this.interval = config.interval ?? DEFAULTS.interval;
+    this.requestOptions = { baseUrl: config.baseUrl, apiKey: config.apiKey };
+
+    this.since = null;
+    this.seen = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Starts watching. The first poll runs immediately.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.since = Math.floor(Date.now() / 1000);
+    this.poll();
+  }
+
+  /**
+   * Stops watching after the current poll, if any
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fetches trades since the last poll and emits the new ones
+   * @private
+   */
+  async poll() {
+    const fresh = [];
+    const collect = trades => {
+      for (const trade of trades) {
+        const key = tradeKey(trade);
+        if (this.seen.has(key)) continue;
+        this.seen.set(key, trade.betTime);
+        fresh.push(trade);
+      }
+    };
+
+    for (const bettor of this.bettors) {
+      try {
+        collect(await fetchAllTrades(undefined, {
+          ...this.requestOptions,
+          bettor,
+          maker: undefined,
+          startDate: this.since,
+          asModels: true
+        }));
+      } catch (error) {
+        this.reportError(`Error fetching trades for bettor ${bettor}:`, error);
+      }
+    }
+
+    if (this.markets.length > 0) {
+      try {
+        const trades = await fetchAllTrades(this.markets, {
+          ...this.requestOptions,
+          startDate: this.since,
+          asModels: true
+        });
+        collect(findLargeTrades(trades, this.minStake));
+      } catch (error) {
+        this.reportError('Error fetching trades for watched markets:', error);
+      }
+    }
+
+    if (!this.running) return;
+
+    const watched = new Set(this.bettors.map(bettor => bettor.toLowerCase()));
+    const markets = new Set(this.markets);
+    for (const trade of fresh.sort((a, b) => a.betTime - b.betTime)) {
+      if (watched.has(trade.bettor.toLowerCase())) this.emit('trade', trade);
+      if (markets.has(trade.marketHash) && this.minStake !== null && trade.stake >= this.minStake) {
+        this.emit('largeTrade', trade);
+      }
+    }
+
+    // Later polls start at the newest trade; keys are kept only for trades that can come back
+    if (fresh.length > 0) {
+      this.since = Math.max(this.since, ...fresh.map(trade => trade.betTime));
+    }
+    for (const [key, betTime] of this.seen) {
+      if (betTime < this.since) this.seen.delete(key);
+    }
+
+    this.timer = setTimeout(() => this.poll(), this.interval);
+  }
+
+  /**
+   * Emits an error, or logs it when nobody listens
+   * @private
+   */
+  reportError(message, error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(message, error.message);
+    }
+  }
+}
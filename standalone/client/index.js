@@ -0,0 +1,368 @@
+// Unified SX Bet API client
+import { get } from '../utils/index.js';
+import { fetchSports, fetchLeagues, fetchFixtures, fetchMarkets } from '../market-data/index.js';
+import {
+  fetchOrders,
+  fetchOrdersMulti,
+  fetchOrderBook,
+  fetchFillCapacity,
+  fetchPriceImpact
+} from '../order-data/index.js';
+import {
+  fetchTrades,
+  fetchTradesMulti,
+  fetchTradesPage,
+  iterateTrades,
+  fetchAllTrades,
+  fetchTradeAnalytics,
+  fetchEventTradeAnalytics
+} from '../trade-data/index.js';
+import {
+  createOrder,
+  buildQuoteLadder,
+  postOrder,
+  postOrders,
+  cancelOrders,
+  cancelMarketOrders,
+  cancelEventOrders,
+  cancelAllOrders,
+  oddsLadderStepFromMetadata
+} from '../order-management/index.js';
+import { fetchActiveOrders, fillOrder } from '../order-filling/index.js';
+import SXWebsocketClient from '../websocket/index.js';
+
+// Known networks. Contract addresses that are not listed are loaded from /metadata.
+const NETWORKS = {
+  mainnet: {
+    baseUrl: 'https://api.sx.bet',
+    chainId: 4162,
+    baseToken: '0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B', // USDC
+    executor: '0x52adf738AAD93c31f798a30b2C74D658e1E9a562',
+    fillHasher: '0x845a2Da2D70fEDe8474b1C8518200798c60aC364',
+    domainVersion: '6.0'
+  },
+  testnet: {
+    baseUrl: 'https://api.toronto.sx.bet',
+    chainId: 79479957,
+    baseToken: null,
+    executor: null,
+    fillHasher: null,
+    domainVersion: '6.0'
+  }
+};
+
+/**
+ * Resolves a network name or object into a full network configuration
+ *
+ * Custom configurations only default baseUrl and domainVersion to mainnet's. Their contract
+ * addresses start out empty, as on testnet, so they are passed in or loaded with loadMetadata
+ * rather than silently taken from mainnet.
+ *
+ * @param {string|Object} network Network name ('mainnet', 'testnet') or custom configuration
+ * @returns {Object} Network configuration
+ * @throws {Error} When the name is unknown or a custom configuration has no chainId
+ */
+function resolveNetwork(network) {
+  if (typeof network === 'object' && network !== null) {
+    if (network.chainId === undefined || network.chainId === null) {
+      throw new Error('A custom network configuration needs a chainId');
+    }
+    return {
+      baseUrl: NETWORKS.mainnet.baseUrl,
+      domainVersion: NETWORKS.mainnet.domainVersion,
+      baseToken: null,
+      executor: null,
+      fillHasher: null,
+      ...network
+    };
+  }
+
+  const config = NETWORKS[network];
+  if (!config) {
+    throw new Error(`Unknown network: ${network}. Use one of ${Object.keys(NETWORKS).join(', ')} or pass a custom configuration`);
+  }
+  return { ...config };
+}
+
+/**
+ * Single entry point for the standalone modules, configured once per network
+ */
+class SXBetClient {
+  /**
+   * Creates a new SX Bet client
+   * @param {Object} [config={}] Configuration options
+   * @param {string|Object} [config.network='mainnet'] Network name or custom network configuration
+   * @param {string} [config.baseUrl] API base URL, overrides the network's (e.g. 'http://localhost:8080')
+   * @param {string} [config.apiKey] SX Bet API key
+   * @param {ethers.Wallet} [config.wallet] Wallet used to sign orders, fills and cancellations
+   * @param {number} [config.chainId] Chain ID, overrides the network's
+   * @param {string} [config.baseToken] Base token address, overrides the network's
+   * @param {string} [config.executor] Executor address, overrides the network's
+   * @param {string} [config.fillHasher] EIP-712 fill hasher address, overrides the network's
+   */
+  constructor(config = {}) {
+    const { network = 'mainnet', apiKey, wallet, ...overrides } = config;
+
+    this.network = resolveNetwork(network);
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) {
+        this.network[key] = value;
+      }
+    }
+
+    this.apiKey = apiKey;
+    this.wallet = wallet;
+  }
+
+  /**
+   * Request options passed through to the standalone modules
+   * @private
+   * @returns {Object} Base URL and API key
+   */
+  get requestOptions() {
+    return { baseUrl: this.network.baseUrl, apiKey: this.apiKey };
+  }
+
+  /**
+   * Returns the configured wallet or throws if none was given
+   * @private
+   * @returns {ethers.Wallet} The wallet
+   */
+  requireWallet() {
+    if (!this.wallet) {
+      throw new Error('A wallet is required for signing. Pass one to the SXBetClient constructor');
+    }
+    return this.wallet;
+  }
+
+  /**
+   * Returns a network field or throws if it is not configured, so a testnet client never falls
+   * back to the mainnet addresses built into the standalone modules
+   * @private
+   * @param {string} key Network field, e.g. 'baseToken' or 'oddsLadderStep'
+   * @returns {string|bigint} The value
+   */
+  requireNetworkValue(key) {
+    if (!this.network[key]) {
+      throw new Error(`The network has no ${key}. Call loadMetadata() first or pass ${key} to the SXBetClient constructor`);
+    }
+    return this.network[key];
+  }
+
+  /**
+   * Order defaults for createOrder and buildQuoteLadder; addresses given in params are not required from the network
+   * @private
+   * @param {Object} params Order parameters
+   * @returns {Object} Order parameters with defaults
+   */
+  withOrderDefaults(params) {
+    return {
+      maker: this.wallet?.address,
+      baseToken: params.baseToken ?? this.requireNetworkValue('baseToken'),
+      executor: params.executor ?? this.requireNetworkValue('executor'),
+      oddsLadderStep: params.oddsLadderStep ?? this.requireNetworkValue('oddsLadderStep'),
+      ...params
+    };
+  }
+
+  /**
+   * Loads contract addresses and the odds ladder step missing from the network configuration from the /metadata endpoint
+   * @returns {Promise<Object>} The raw metadata
+   */
+  async loadMetadata() {
+    const metadata = await get('/metadata', {}, this.requestOptions);
+    if (!metadata) {
+      throw new Error(`Could not load metadata from ${this.network.baseUrl}`);
+    }
+
+    this.network.executor = this.network.executor || metadata.executorAddress;
+    this.network.fillHasher = this.network.fillHasher || metadata.EIP712FillHasher;
+    this.network.domainVersion = metadata.domainVersion || this.network.domainVersion;
+    this.network.baseToken = this.network.baseToken || metadata.addresses?.[this.network.chainId]?.USDC;
+    this.network.oddsLadderStep = this.network.oddsLadderStep || oddsLadderStepFromMetadata(metadata);
+
+    return metadata;
+  }
+
+  // Market data
+
+  fetchSports() {
+    return fetchSports(this.requestOptions);
+  }
+
+  fetchLeagues(sportId) {
+    return fetchLeagues(sportId, this.requestOptions);
+  }
+
+  fetchFixtures(leagueId, options = {}) {
+    return fetchFixtures(leagueId, { ...options, ...this.requestOptions });
+  }
+
+  fetchMarkets(eventId, options = {}) {
+    return fetchMarkets(eventId, { ...options, ...this.requestOptions });
+  }
+
+  // Orders and trades
+
+  fetchOrders(marketHash, options = {}) {
+    return fetchOrders(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  fetchOrdersMulti(marketHashes, options = {}) {
+    return fetchOrdersMulti(marketHashes, { ...options, ...this.requestOptions });
+  }
+
+  fetchOrderBook(marketHash, options = {}) {
+    return fetchOrderBook(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  fetchFillCapacity(marketHash, outcome, maxTakerOdds, options = {}) {
+    return fetchFillCapacity(marketHash, outcome, maxTakerOdds, { ...options, ...this.requestOptions });
+  }
+
+  fetchPriceImpact(marketHash, outcome, stake, options = {}) {
+    return fetchPriceImpact(marketHash, outcome, stake, { ...options, ...this.requestOptions });
+  }
+
+  fetchTrades(marketHash, options = {}) {
+    return fetchTrades(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  fetchTradesMulti(marketHashes, options = {}) {
+    return fetchTradesMulti(marketHashes, { ...options, ...this.requestOptions });
+  }
+
+  fetchTradesPage(marketHash, options = {}) {
+    return fetchTradesPage(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  iterateTrades(marketHash, options = {}) {
+    return iterateTrades(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  fetchAllTrades(marketHash, options = {}) {
+    return fetchAllTrades(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  fetchTradeAnalytics(marketHash, options = {}) {
+    return fetchTradeAnalytics(marketHash, { ...options, ...this.requestOptions });
+  }
+
+  fetchEventTradeAnalytics(eventId, options = {}) {
+    return fetchEventTradeAnalytics(eventId, { ...options, ...this.requestOptions });
+  }
+
+  /**
+   * Fetches active orders for a maker
+   * @param {string} [maker] Maker address (defaults to the client's wallet)
+   * @param {string} [chainVersion='SXR'] The chain version
+   * @param {Object} [options={}] Options (e.g. asModels)
+   * @returns {Promise<Array>} Array of active orders
+   */
+  fetchActiveOrders(maker, chainVersion = 'SXR', options = {}) {
+    return fetchActiveOrders(maker || this.requireWallet().address, chainVersion, {
+      ...options,
+      ...this.requestOptions
+    });
+  }
+
+  // Order management
+
+  /**
+   * Creates an order, defaulting maker, base token, executor and odds ladder step from the client
+   * @param {Object} params Order parameters (see order-management createOrder)
+   * @returns {Object} The order object
+   * @throws {Error} When the network has no baseToken, executor or oddsLadderStep and params do not give them
+   */
+  createOrder(params) {
+    return createOrder(this.withOrderDefaults(params));
+  }
+
+  /**
+   * Builds a quote ladder with the same defaults as createOrder
+   * @param {Object} params Ladder parameters (see order-management buildQuoteLadder)
+   * @returns {Object} The orders and their levels
+   */
+  buildQuoteLadder(params) {
+    return buildQuoteLadder(this.withOrderDefaults(params));
+  }
+
+  postOrder(order) {
+    return postOrder(order, this.requireWallet(), this.requestOptions);
+  }
+
+  postOrders(orders, options = {}) {
+    return postOrders(orders, this.requireWallet(), {
+      oddsLadderStep: this.network.oddsLadderStep,
+      ...options,
+      ...this.requestOptions
+    });
+  }
+
+  cancelOrders(orderHashes) {
+    return cancelOrders(orderHashes, this.requireWallet(), {
+      ...this.requestOptions,
+      chainId: this.network.chainId
+    });
+  }
+
+  cancelMarketOrders(marketHash) {
+    return cancelMarketOrders(marketHash, this.requireWallet(), {
+      ...this.requestOptions,
+      chainId: this.network.chainId
+    });
+  }
+
+  cancelEventOrders(eventId) {
+    return cancelEventOrders(eventId, this.requireWallet(), {
+      ...this.requestOptions,
+      chainId: this.network.chainId
+    });
+  }
+
+  cancelAllOrders() {
+    return cancelAllOrders(this.requireWallet(), {
+      ...this.requestOptions,
+      chainId: this.network.chainId
+    });
+  }
+
+  /**
+   * Fills an order as the client's wallet
+   * @param {Object} order The order to fill
+   * @param {string} betAmount The bet amount (in base units)
+   * @returns {Promise<Object>} API response
+   * @throws {Error} When the network has no fillHasher (see loadMetadata)
+   */
+  fillOrder(order, betAmount) {
+    const wallet = this.requireWallet();
+    return fillOrder(order, wallet, betAmount, {
+      ...this.requestOptions,
+      taker: wallet.address,
+      chainId: this.network.chainId,
+      fillHasher: this.requireNetworkValue('fillHasher'),
+      domainVersion: this.network.domainVersion
+    });
+  }
+
+  // Real-time data
+
+  /**
+   * Creates a WebSocket client for the configured network and token
+   * @returns {SXWebsocketClient} A new, uninitialized WebSocket client
+   * @throws {Error} When the network has no baseToken (see loadMetadata)
+   */
+  createWebsocketClient() {
+    return new SXWebsocketClient({
+      apiKey: this.apiKey,
+      token: this.requireNetworkValue('baseToken'),
+      baseUrl: this.network.baseUrl
+    });
+  }
+}
+
+export {
+  SXBetClient,
+  NETWORKS,
+  resolveNetwork
+};
@@ -0,0 +1,299 @@
+// Export order books, trades, fixtures and markets to CSV, JSON or NDJSON
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { Order } from '../models/index.js';
+import { fromPercentageOdds } from '../odds/index.js';
+import { toNominalAmount } from '../utils/index.js';
+import { fetchFixtures, fetchMarkets } from '../market-data/index.js';
+import { fetchOrders, OrderBook } from '../order-data/index.js';
+import { fetchAllTrades } from '../trade-data/index.js';
+
+export const FORMATS = ['csv', 'json', 'ndjson'];
+
+/**
+ * Formats a value in base units as a plain nominal amount (no thousands separators)
+ * @param {string|number|bigint} amount Amount in base units
+ * @returns {string} Nominal amount with 6 decimals
+ */
+function nominal(amount) {
+  return toNominalAmount(amount, { displayDecimals: 6 });
+}
+
+/**
+ * Formats a unix timestamp in seconds as an ISO 8601 string
+ * @param {number} seconds Unix timestamp in seconds
+ * @returns {string|null} ISO 8601 string, or null when missing
+ */
+function isoTime(seconds) {
+  return seconds === undefined || seconds === null ? null : new Date(Number(seconds) * 1000).toISOString();
+}
+
+// Columns of each export, in order. Amounts come in base units and as nominal USDC; odds
+// as 10^20 percentage odds, implied probability and decimal odds.
+export const SCHEMAS = {
+  orderBookLevels: [
+    { name: 'marketHash', value: row => row.marketHash },
+    { name: 'outcome', value: row => row.outcome },
+    { name: 'outcomeName', value: row => row.outcomeName },
+    { name: 'level', value: row => row.level },
+    { name: 'takerOdds', value: row => row.takerOdds.toString() },
+    { name: 'impliedProbability', value: row => fromPercentageOdds(row.takerOdds, 'implied') },
+    { name: 'decimalOdds', value: row => fromPercentageOdds(row.takerOdds, 'decimal') },
+    { name: 'liquidity', value: row => row.liquidity.toString() },
+    { name: 'liquidityNominal', value: row => nominal(row.liquidity) },
+    { name: 'cumulativeLiquidity', value: row => row.cumulativeLiquidity.toString() },
+    { name: 'cumulativeLiquidityNominal', value: row => nominal(row.cumulativeLiquidity) },
+    { name: 'orderCount', value: row => row.orderCount }
+  ],
+  orders: [
+    { name: 'orderHash', value: order => order.orderHash },
+    { name: 'marketHash', value: order => order.marketHash },
+    { name: 'maker', value: order => order.maker },
+    { name: 'takerOutcome', value: order => order.takerOutcome },
+    { name: 'percentageOdds', value: order => order.percentageOdds.toString() },
+    { name: 'takerOdds', value: order => order.takerOdds.toString() },
+    { name: 'takerImpliedProbability', value: order => fromPercentageOdds(order.takerOdds, 'implied') },
+    { name: 'takerDecimalOdds', value: order => fromPercentageOdds(order.takerOdds, 'decimal') },
+    { name: 'totalBetSize', value: order => order.totalBetSize.toString() },
+    { name: 'fillAmount', value: order => order.fillAmount.toString() },
+    { name: 'remainingTakerSpace', value: order => order.remainingTakerSpace.toString() },
+    { name: 'remainingTakerSpaceNominal', value: order => nominal(order.remainingTakerSpace) },
+    { name: 'apiExpiry', value: order => isoTime(order.apiExpiry) },
+    { name: 'expiry', value: order => isoTime(order.expiry) }
+  ],
+  trades: [
+    { name: 'betTime', value: trade => isoTime(trade.betTime) },
+    { name: 'marketHash', value: trade => trade.marketHash },
+    { name: 'bettor', value: trade => trade.bettor },
+    { name: 'maker', value: trade => Boolean(trade.maker) },
+    { name: 'outcome', value: trade => (trade.bettingOutcomeOne ? 1 : 2) },
+    { name: 'stake', value: trade => trade.stake.toString() },
+    { name: 'stakeNominal', value: trade => nominal(trade.stake) },
+    { name: 'odds', value: trade => trade.odds.toString() },
+    { name: 'impliedProbability', value: trade => fromPercentageOdds(trade.odds, 'implied') },
+    { name: 'decimalOdds', value: trade => fromPercentageOdds(trade.odds, 'decimal') },
+    { name: 'tradeStatus', value: trade => trade.tradeStatus ?? null },
+    { name: 'settled', value: trade => Boolean(trade.settled) },
+    { name: 'orderHash', value: trade => trade.orderHash ?? null },
+    { name: 'fillHash', value: trade => trade.fillHash ?? null }
+  ],
+  fixtures: [
+    { name: 'eventId', value: fixture => fixture.eventId },
+    { name: 'sportId', value: fixture => fixture.sportId ?? null },
+    { name: 'leagueId', value: fixture => fixture.leagueId ?? null },
+    { name: 'leagueLabel', value: fixture => fixture.leagueLabel ?? null },
+    { name: 'participantOneName', value: fixture => fixture.participantOneName },
+    { name: 'participantTwoName', value: fixture => fixture.participantTwoName },
+    { name: 'startDate', value: fixture => new Date(fixture.startDate).toISOString() },
+    { name: 'status', value: fixture => fixture.status ?? null }
+  ],
+  markets: [
+    { name: 'marketHash', value: market => market.marketHash },
+    { name: 'eventId', value: market => market.sportXEventId },
+    { name: 'type', value: market => market.type },
+    { name: 'typeName', value: market => market.typeName ?? null },
+    { name: 'line', value: market => market.line ?? null },
+    { name: 'mainLine', value: market => Boolean(market.mainLine) },
+    { name: 'outcomeOneName', value: market => market.outcomeOneName },
+    { name: 'outcomeTwoName', value: market => market.outcomeTwoName },
+    { name: 'teamOneName', value: market => market.teamOneName ?? null },
+    { name: 'teamTwoName', value: market => market.teamTwoName ?? null },
+    { name: 'gameTime', value: market => isoTime(market.gameTime) },
+    { name: 'status', value: market => market.status ?? null }
+  ]
+};
+
+/**
+ * Flattens an order book into one row per price level, outcome one first
+ * @param {OrderBook} book The order book
+ * @param {Object} [market] Market of the book, for marketHash and outcome names
+ * @returns {Array<Object>} Level rows for the orderBookLevels schema
+ */
+export function orderBookLevelRows(book, market = {}) {
+  return [1, 2].flatMap(outcome => book.levels(outcome).map((level, index) => ({
+    marketHash: market.marketHash ?? null,
+    outcome,
+    outcomeName: (outcome === 1 ? market.outcomeOneName : market.outcomeTwoName) ?? null,
+    level: index + 1,
+    ...level
+  })));
+}
+
+/**
+ * Builds export rows from a schema's columns
+ * @param {string} schema Schema name: orderBookLevels, orders, trades, fixtures or markets
+ * @param {Array<Object>} items Items to export (level rows, orders, trades, fixtures or markets)
+ * @returns {Array<Object>} Rows with exactly the schema's columns, in order
+ * @throws {TypeError} When the schema is unknown
+ */
+export function toRows(schema, items) {
+  const columns = SCHEMAS[schema];
+  if (!columns) {
+    throw new TypeError(`Unknown schema: ${schema}. Use one of ${Object.keys(SCHEMAS).join(', ')}`);
+  }
+
+  return items.map(item => {
+    const source = schema === 'orders' && !(item instanceof Order) ? new Order(item) : item;
+    return Object.fromEntries(columns.map(column => [column.name, column.value(source)]));
+  });
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows as CSV, JSON or NDJSON
+ * @param {string} schema Schema name (see toRows); sets the CSV header even when there are no rows
+ * @param {Array<Object>} rows Rows from toRows
+ * @param {string} [format='csv'] 'csv', 'json' or 'ndjson'
+ * @returns {string} Serialized rows
+ * @throws {TypeError} When the format or schema is unknown
+ */
+export function serializeRows(schema, rows, format = 'csv') {
+  if (!SCHEMAS[schema]) {
+    throw new TypeError(`Unknown schema: ${schema}. Use one of ${Object.keys(SCHEMAS).join(', ')}`);
+  }
+
+  switch (format) {
+    case 'csv': {
+      const names = SCHEMAS[schema].map(column => column.name);
+      const lines = [names.join(','), ...rows.map(row => names.map(name => csvField(row[name])).join(','))];
+      return `${lines.join('\n')}\n`;
+    }
+    case 'json':
+      return `${JSON.stringify(rows, null, 2)}\n`;
+    case 'ndjson':
+      return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+    default:
+      throw new TypeError(`Unknown format: ${format}. Use one of ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Serializes items and writes them to a file, or returns the text
+ * @param {string} schema Schema name (see toRows)
+ * @param {Array<Object>} items Items to export
+ * @param {Object} [options={}] Output options
+ * @param {string} [options.format] 'csv', 'json' or 'ndjson' (default: from the file extension, else 'csv')
+ * @param {string} [options.file] File to write; when omitted the text is only returned
+ * @returns {string} Serialized rows
+ */
+export function exportRows(schema, items, options = {}) {
+  const extension = options.file ? options.file.split('.').pop().toLowerCase() : null;
+  const format = options.format || (FORMATS.includes(extension) ? extension : 'csv');
+
+  const text = serializeRows(schema, toRows(schema, items), format);
+  if (options.file) {
+    fs.writeFileSync(options.file, text);
+  }
+  return text;
+}
+
+/**
+ * Fetch a market's order book and export it per price level or per order
+ * @param {string} marketHash - The market's hash
+ * @param {Object} [options={}] Output options (see exportRows), fetchOrders options, plus:
+ * @param {boolean} [options.perOrder=false] One row per order instead of per level
+ * @param {Object} [options.market] Market object, for outcome names in level rows
+ * @returns {Promise<string>} Serialized rows
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ *
+ * Example:
+ * await exportOrderBook('0x123...', { file: 'book.csv' });
+ * await exportOrderBook('0x123...', { file: 'orders.ndjson', perOrder: true });
+ */
+export async function exportOrderBook(marketHash, options = {}) {
+  const { format, file, perOrder = false, market = { marketHash }, ...fetchOptions } = options;
+  const book = new OrderBook(await fetchOrders(marketHash, { ...fetchOptions, asModels: true }));
+
+  return perOrder
+    ? exportRows('orders', book.activeOrders(), { format, file })
+    : exportRows('orderBookLevels', orderBookLevelRows(book, market), { format, file });
+}
+
+/**
+ * Fetch a market's trades across all pages and export them
+ * @param {string} marketHash - The market's hash
+ * @param {Object} [options={}] Output options (see exportRows) and fetchAllTrades options
+ * @param {number} [options.maxItems=10000] Stop after this many trades
+ * @returns {Promise<string>} Serialized rows
+ * @throws {RateLimitError|ApiError|NetworkError} When a page request fails after retries
+ */
+export async function exportTrades(marketHash, options = {}) {
+  const { format, file, ...fetchOptions } = options;
+  const trades = await fetchAllTrades(marketHash, fetchOptions);
+  return exportRows('trades', trades.sort((a, b) => a.betTime - b.betTime), { format, file });
+}
+
+/**
+ * Fetch fixtures for one or more leagues and export them
+ * @param {string|number|Array<string|number>} leagueId - League ID or array of league IDs
+ * @param {Object} [options={}] Output options (see exportRows) and fetchFixtures options
+ * @returns {Promise<string>} Serialized rows
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ */
+export async function exportFixtures(leagueId, options = {}) {
+  const { format, file, ...fetchOptions } = options;
+  return exportRows('fixtures', await fetchFixtures(leagueId, fetchOptions), { format, file });
+}
+
+/**
+ * Fetch an event's markets and export them
+ * @param {string|number} eventId - The ID of the event
+ * @param {Object} [options={}] Output options (see exportRows) and fetchMarkets options
+ * @returns {Promise<string>} Serialized rows
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ */
+export async function exportMarkets(eventId, options = {}) {
+  const { format, file, ...fetchOptions } = options;
+  return exportRows('markets', await fetchMarkets(eventId, fetchOptions), { format, file });
+}
+
+// Command line: node standalone/export/index.js <book|orders|trades|fixtures|markets> <id> [--format csv|json|ndjson] [--out file] [--max-items n]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [command, id, ...args] = process.argv.slice(2);
+  const flag = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const options = {
+    format: flag('--format'),
+    file: flag('--out'),
+    apiKey: process.env.SX_BET_API_KEY
+  };
+
+  const maxItems = flag('--max-items');
+  const commands = {
+    book: () => exportOrderBook(id, options),
+    orders: () => exportOrderBook(id, { ...options, perOrder: true }),
+    trades: () => exportTrades(id, { ...options, maxItems: maxItems && Number(maxItems) }),
+    fixtures: () => exportFixtures(id.split(','), { ...options, includeLive: args.includes('--live'), to: null }),
+    markets: () => exportMarkets(id, { ...options, onlyMainLine: !args.includes('--all-lines') })
+  };
+
+  if (!commands[command] || !id) {
+    console.error('Usage: node standalone/export/index.js <book|orders|trades|fixtures|markets> <id> [--format csv|json|ndjson] [--out file] [--max-items n]');
+    console.error('  book, orders, trades: market hash; fixtures: league ID(s), comma separated; markets: event ID');
+    process.exitCode = 1;
+  } else {
+    commands[command]().then(text => {
+      if (options.file) {
+        console.log(`Wrote ${options.file}`);
+      } else {
+        process.stdout.write(text);
+      }
+    }).catch(error => {
+      console.error('Export failed:', error.message);
+      process.exitCode = 1;
+    });
+  }
+}
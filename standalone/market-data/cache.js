@@ -0,0 +1,196 @@
+// Cache for SX Bet reference data (sports, leagues, fixtures, markets)
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { get } from '../utils/index.js';
+
+// Default time-to-live per endpoint, in milliseconds
+export const CACHE_TTL = {
+  sports: 60 * 60 * 1000,
+  leagues: 10 * 60 * 1000,
+  fixtures: 60 * 1000,
+  markets: 30 * 1000
+};
+
+/**
+ * In-memory cache store (the default)
+ */
+export class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+}
+
+/**
+ * Cache store backed by a JSON file, so the cache survives restarts
+ */
+export class FileCache extends MemoryCache {
+  /**
+   * @param {string} filePath Path of the JSON file (created on first write)
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+
+    if (existsSync(filePath)) {
+      try {
+        this.entries = new Map(Object.entries(JSON.parse(readFileSync(filePath, 'utf8'))));
+      } catch (error) {
+        console.error(`Ignoring unreadable cache file ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.save();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.save();
+  }
+
+  clear() {
+    super.clear();
+    this.save();
+  }
+
+  save() {
+    writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+  }
+}
+
+// How long past its TTL an entry may still be served while it is refreshed, in milliseconds
+export const DEFAULT_MAX_STALE = 5 * 60 * 1000;
+
+const config = {
+  enabled: true,
+  store: new MemoryCache(),
+  ttl: { ...CACHE_TTL },
+  staleWhileRevalidate: true,
+  maxStale: DEFAULT_MAX_STALE
+};
+
+// Requests in flight, so concurrent callers share one request per key
+const pending = new Map();
+
+/**
+ * Configures the market data cache
+ * @param {Object} [options={}] Cache options (omitted options keep their current value)
+ * @param {boolean} [options.enabled] Turn caching on or off
+ * @param {Object} [options.store] Cache store (MemoryCache, FileCache or any object with get, set, delete, clear and keys; methods may return promises)
+ * @param {Object} [options.ttl] TTL in milliseconds per endpoint, e.g. { markets: 5000 }
+ * @param {boolean} [options.staleWhileRevalidate] Return expired data immediately and refresh it in the background
+ * @param {number} [options.maxStale] Milliseconds past the TTL after which expired data is no longer returned;
+ *   calls then wait for fresh data and throw if the request fails (default: 5 minutes)
+ *
+ * Example:
+ * configureCache({ store: new FileCache('./.sx-cache.json'), ttl: { leagues: 60 * 60 * 1000 } });
+ */
+export function configureCache(options = {}) {
+  const { ttl, ...rest } = options;
+  for (const [key, value] of Object.entries(rest)) {
+    if (value !== undefined) config[key] = value;
+  }
+  if (ttl) {
+    config.ttl = { ...config.ttl, ...ttl };
+  }
+}
+
+/**
+ * Removes cached data
+ * @param {string} [name] Endpoint to invalidate ('sports', 'leagues', 'fixtures' or 'markets'); all when omitted
+ * @returns {Promise<void>}
+ *
+ * Example:
+ * await invalidateCache('markets');
+ */
+export async function invalidateCache(name) {
+  if (!name) {
+    await config.store.clear();
+    return;
+  }
+
+  const keys = await config.store.keys();
+  await Promise.all(
+    keys.filter(key => key.startsWith(`${name}|`)).map(key => config.store.delete(key))
+  );
+}
+
+/**
+ * Fetches the response and stores it in the cache
+ * @param {string} key Cache key
+ * @param {Function} fetcher Function that performs the request
+ * @returns {Promise<any>} Response data
+ */
+function refresh(key, fetcher) {
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = (async () => {
+    try {
+      const value = await fetcher();
+      await config.store.set(key, { value, storedAt: Date.now() });
+      return value;
+    } finally {
+      pending.delete(key);
+    }
+  })();
+
+  pending.set(key, promise);
+  return promise;
+}
+
+/**
+ * GET request through the cache
+ * @param {string} name Endpoint name, used for the TTL and invalidation
+ * @param {string} endpoint API endpoint
+ * @param {Object} params Query parameters
+ * @param {Object} options Request options, plus `cache: false` to skip the cache
+ * @returns {Promise<any>} Response data; a copy, so callers cannot change the cached value
+ */
+export async function cachedGet(name, endpoint, params, options = {}) {
+  const { cache = true, ...requestOptions } = options;
+  const fetcher = () => get(endpoint, params, requestOptions);
+
+  if (!config.enabled || !cache) {
+    return fetcher();
+  }
+
+  const key = [name, requestOptions.baseUrl || 'default', endpoint, JSON.stringify(params)].join('|');
+  const entry = await config.store.get(key);
+
+  if (entry) {
+    const age = Date.now() - entry.storedAt;
+    const ttl = config.ttl[name] ?? 0;
+    if (age < ttl) {
+      return structuredClone(entry.value);
+    }
+
+    if (config.staleWhileRevalidate && age < ttl + config.maxStale) {
+      // Failures are not fatal here: the stale value stays and the next call retries
+      refresh(key, fetcher).catch(() => {});
+      return structuredClone(entry.value);
+    }
+  }
+
+  return structuredClone(await refresh(key, fetcher));
+}
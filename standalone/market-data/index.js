@@ -1,97 +1,230 @@
 // Market data service for SX Bet API
-import axios from 'axios';
+import { Fixture, Market } from '../models/index.js';
+import { cachedGet } from './cache.js';
 
-const API_BASE_URL = 'https://api.sx.bet';
+export { CACHE_TTL, DEFAULT_MAX_STALE, MemoryCache, FileCache, configureCache, invalidateCache } from './cache.js';
 
 /**
  * Fetch all available sports
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @param {boolean} [options.cache=true] Use the cache (see configureCache); false always fetches
  * @returns {Promise<Array>} Array of sport objects
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const sports = await fetchSports();
  * console.log(sports); // [{id: 1, name: 'Soccer'}, ...]
  */
-export async function fetchSports() {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/sports`);
-    return response.data.data || [];
-  } catch (error) {
-    console.error('Error fetching sports:', error.message);
-    return [];
-  }
+export async function fetchSports(options = {}) {
+  const sports = await cachedGet('sports', '/sports', {}, options);
+  return sports || [];
 }
 
 /**
  * Fetch active leagues for a sport
  * @param {string|number} sportId - The ID of the sport
+ * @param {Object} [options={}] Request options (same as fetchSports)
  * @returns {Promise<Array>} Array of league objects
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const leagues = await fetchLeagues(1);
  * console.log(leagues); // [{id: 1, name: 'Premier League', sportId: 1}, ...]
  */
-export async function fetchLeagues(sportId) {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/leagues/active`);
-    const leagues = response.data.data;
-    return leagues ? leagues.filter(league => league.sportId === sportId) : [];
-  } catch (error) {
-    console.error('Error fetching leagues:', error.message);
-    return [];
-  }
+export async function fetchLeagues(sportId, options = {}) {
+  const leagues = await cachedGet('leagues', '/leagues/active', {}, options);
+  return leagues ? leagues.filter(league => league.sportId === sportId) : [];
 }
 
+// SX Bet fixture status codes
+export const FIXTURE_STATUS = {
+  NOT_STARTED: 1,
+  IN_PROGRESS: 2,
+  FINISHED: 3,
+  CANCELLED: 4,
+  POSTPONED: 5,
+  INTERRUPTED: 6,
+  ABANDONED: 7,
+  COVERAGE_LOST: 8,
+  ABOUT_TO_START: 9
+};
+
 /**
- * Fetch active fixtures for a league (next 7 days)
- * @param {string|number} leagueId - The ID of the league
- * @returns {Promise<Array>} Array of fixture objects
+ * Fetch active fixtures for one or more leagues
+ * @param {string|number|Array<string|number>} leagueId - League ID or array of league IDs
+ * @param {Object} [options={}] Query and request options (request options same as fetchSports)
+ * @param {Date|string|number} [options.from=now] Earliest start date
+ * @param {Date|string|number|null} [options.to=now + 7 days] Latest start date; null for no limit
+ * @param {boolean} [options.includeLive=false] Also return fixtures in progress (FIXTURE_STATUS.IN_PROGRESS) that started before from, unless from is in the future
+ * @param {number[]} [options.statuses] Only return fixtures with these status codes (see FIXTURE_STATUS)
+ * @param {number} [options.offset=0] Number of fixtures to skip, for paging
+ * @param {number} [options.limit] Maximum number of fixtures to return, for paging
+ * @param {boolean} [options.asModels=false] Return Fixture models instead of raw objects
+ * @returns {Promise<Array>} Array of fixture objects (or Fixture models), sorted by start date
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const fixtures = await fetchFixtures(1);
  * console.log(fixtures); // [{id: 1, homeTeam: 'Team A', awayTeam: 'Team B', startDate: '2024-03-25T15:00:00Z'}, ...]
+ *
+ * // Live and upcoming fixtures in two leagues over the next 30 days
+ * const fixtures = await fetchFixtures([1, 2], {
+ *   to: Date.now() + 30 * 24 * 60 * 60 * 1000,
+ *   includeLive: true
+ * });
  */
-export async function fetchFixtures(leagueId) {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/fixture/active`, {
-      params: { leagueId }
-    });
-    
-    const fixtures = response.data.data;
-    if (!fixtures) return [];
-
-    const now = new Date();
-    const sevenDaysLater = new Date();
-    sevenDaysLater.setDate(now.getDate() + 7);
-
-    return fixtures
-      .filter(fixture => {
-        const startDate = new Date(fixture.startDate);
-        return startDate >= now && startDate <= sevenDaysLater;
-      })
-      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
-  } catch (error) {
-    console.error('Error fetching fixtures:', error.message);
-    return [];
+export async function fetchFixtures(leagueId, options = {}) {
+  const {
+    from,
+    to,
+    includeLive = false,
+    statuses,
+    offset = 0,
+    limit,
+    asModels = false,
+    ...requestOptions
+  } = options;
+
+  const leagueIds = Array.isArray(leagueId) ? leagueId : [leagueId];
+  const results = await Promise.all(
+    leagueIds.map(id => cachedGet('fixtures', '/fixture/active', { leagueId: id }, requestOptions))
+  );
+
+  // A fixture can only belong to one league, but dedupe in case the same ID was passed twice
+  const fixturesById = new Map();
+  for (const fixture of results.flatMap(fixtures => fixtures || [])) {
+    fixturesById.set(fixture.eventId ?? fixture.id, fixture);
+  }
+
+  const now = new Date();
+  const fromDate = from === undefined ? now : new Date(from);
+  let toDate = null;
+  if (to === undefined) {
+    toDate = new Date(now);
+    toDate.setDate(now.getDate() + 7);
+  } else if (to !== null) {
+    toDate = new Date(to);
   }
+
+  const filtered = Array.from(fixturesById.values())
+    .filter(fixture => {
+      const startDate = new Date(fixture.startDate);
+      if (statuses && !statuses.includes(fixture.status)) return false;
+      if (toDate && startDate > toDate) return false;
+      if (startDate >= fromDate) return true;
+      // Fixtures in progress started before the window; they only belong in one that has begun
+      return includeLive && fromDate <= now && fixture.status === FIXTURE_STATUS.IN_PROGRESS;
+    })
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  const page = filtered.slice(offset, limit === undefined ? undefined : offset + limit);
+  return asModels ? page.map(fixture => new Fixture(fixture)) : page;
+}
+
+// SX Bet market type IDs, with a readable name and the category used for filtering
+export const MARKET_TYPES = {
+  1: { name: '1X2', category: 'moneyline' },
+  52: { name: 'Moneyline', category: 'moneyline' },
+  88: { name: 'To Qualify', category: 'moneyline' },
+  226: { name: 'Moneyline (incl. Overtime)', category: 'moneyline' },
+  63: { name: 'Moneyline Halftime', category: 'moneyline' },
+  202: { name: '1st Period Winner', category: 'moneyline' },
+  203: { name: '2nd Period Winner', category: 'moneyline' },
+  204: { name: '3rd Period Winner', category: 'moneyline' },
+  205: { name: '4th Period Winner', category: 'moneyline' },
+  1618: { name: '1st 5 Innings Winner', category: 'moneyline' },
+  3: { name: 'Spread', category: 'spread' },
+  201: { name: 'Spread (Games)', category: 'spread' },
+  342: { name: 'Spread (incl. Overtime)', category: 'spread' },
+  53: { name: 'Spread Halftime', category: 'spread' },
+  64: { name: 'Spread 1st Period', category: 'spread' },
+  65: { name: 'Spread 2nd Period', category: 'spread' },
+  66: { name: 'Spread 3rd Period', category: 'spread' },
+  281: { name: 'Spread 1st 5 Innings', category: 'spread' },
+  866: { name: 'Set Spread', category: 'spread' },
+  2: { name: 'Total', category: 'totals' },
+  28: { name: 'Total (incl. Overtime)', category: 'totals' },
+  29: { name: 'Total Rounds', category: 'totals' },
+  166: { name: 'Total Games', category: 'totals' },
+  1536: { name: 'Total Maps', category: 'totals' },
+  77: { name: 'Total Halftime', category: 'totals' },
+  21: { name: 'Total 1st Period', category: 'totals' },
+  45: { name: 'Total 2nd Period', category: 'totals' },
+  46: { name: 'Total 3rd Period', category: 'totals' },
+  236: { name: 'Total 1st 5 Innings', category: 'totals' },
+  165: { name: 'Set Total', category: 'totals' },
+  274: { name: 'Outright Winner', category: 'outright' }
+};
+
+/**
+ * Get the readable name and category for a market type ID
+ * @param {number|string} type - The market's type ID
+ * @returns {{name: string, category: string}} Type info; unlisted types are treated as props
+ *
+ * Example:
+ * getMarketType(52); // { name: 'Moneyline', category: 'moneyline' }
+ */
+export function getMarketType(type) {
+  return MARKET_TYPES[type] || { name: `Market Type ${type}`, category: 'props' };
 }
 
 /**
  * Fetch active markets for an event
  * @param {string|number} eventId - The ID of the event
- * @returns {Promise<Array>} Array of market objects
+ * @param {Object} [options={}] Filter and request options (request options same as fetchSports)
+ * @param {boolean} [options.onlyMainLine=true] Only return main lines; false includes alternate spreads and totals
+ * @param {Array<string|number>} [options.types] Only return these categories ('moneyline', 'spread', 'totals', 'outright', 'props') or type IDs
+ * @param {boolean} [options.asModels=false] Return Market models instead of raw objects
+ * @returns {Promise<Array>} Array of market objects (or Market models), each with added typeName and typeCategory
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const markets = await fetchMarkets(1);
- * console.log(markets); // [{hash: '0x...', outcomeOneName: 'Team A', outcomeTwoName: 'Team B'}, ...]
+ * console.log(markets); // [{hash: '0x...', outcomeOneName: 'Team A', outcomeTwoName: 'Team B', typeName: 'Moneyline'}, ...]
+ *
+ * const spreads = await fetchMarkets(1, { onlyMainLine: false, types: ['spread'] });
  */
-export async function fetchMarkets(eventId) {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/markets/active`, {
-      params: { eventId, onlyMainLine: true }
-    });
-    return response.data.data?.markets || [];
-  } catch (error) {
-    console.error('Error fetching markets:', error.message);
-    return [];
-  }
-} 
\ No newline at end of file
+export async function fetchMarkets(eventId, options = {}) {
+  const { onlyMainLine = true, types, asModels = false, ...requestOptions } = options;
+  const result = await cachedGet('markets', '/markets/active', { eventId, onlyMainLine }, requestOptions);
+
+  const markets = (result?.markets || []).map(market => {
+    const { name, category } = getMarketType(market.type);
+    return { ...market, typeName: name, typeCategory: category };
+  });
+
+  const wanted = types && types.length > 0 ? new Set(types.map(String)) : null;
+  const filtered = wanted
+    ? markets.filter(market => wanted.has(market.typeCategory) || wanted.has(String(market.type)))
+    : markets;
+
+  return asModels ? filtered.map(market => new Market(market)) : filtered;
+}
+
+/**
+ * Group markets by category and line
+ * @param {Array} markets - Markets returned by fetchMarkets
+ * @returns {Object} Object mapping category to an object mapping line to markets
+ *
+ * Example:
+ * const grouped = groupMarkets(await fetchMarkets(1, { onlyMainLine: false }));
+ * console.log(grouped);
+ * // {
+ * //   moneyline: { none: [...] },
+ * //   spread: { '-1.5': [...], '-2.5': [...] },
+ * //   totals: { '2.5': [...], '3.5': [...] }
+ * // }
+ */
+export function groupMarkets(markets) {
+  return markets.reduce((acc, market) => {
+    const category = market.typeCategory || getMarketType(market.type).category;
+    const line = market.line === undefined || market.line === null ? 'none' : String(market.line);
+
+    if (!acc[category]) acc[category] = {};
+    if (!acc[category][line]) acc[category][line] = [];
+    acc[category][line].push(market);
+    return acc;
+  }, {});
+}
@@ -0,0 +1,578 @@
+// Mock SX Bet API server backed by recorded JSON fixtures
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { get } from '../utils/index.js';
+import {
+  createOrderHash,
+  getCancelOrderEIP712Payload,
+  getCancelEventOrdersEIP712Payload,
+  getCancelAllOrdersEIP712Payload
+} from '../order-management/index.js';
+import { getFillOrderEIP712Payload } from '../order-filling/index.js';
+import { ODDS_PRECISION, toTakerOdds } from '../odds/index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const FIXTURE_FILES = ['sports', 'leagues', 'fixtures', 'markets', 'orders', 'trades', 'metadata'];
+
+const REQUIRED_ORDER_FIELDS = [
+  'marketHash', 'maker', 'totalBetSize', 'percentageOdds', 'baseToken',
+  'apiExpiry', 'expiry', 'executor', 'isMakerBettingOutcomeOne', 'salt', 'signature'
+];
+
+/**
+ * Error returned to the caller as a `{ status: 'failure' }` response
+ */
+class MockRequestError extends Error {
+  constructor(statusCode, errorCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+  }
+}
+
+/**
+ * Loads the fixture files from a directory
+ * @param {string} dir Fixtures directory
+ * @param {Object} options Load options
+ * @param {boolean} options.rebaseTimes Shift all timestamps so the recording time becomes now
+ * @returns {Object} Fixture data keyed by file name
+ */
+function loadFixtures(dir, { rebaseTimes }) {
+  const data = {};
+  for (const name of FIXTURE_FILES) {
+    const file = path.join(dir, `${name}.json`);
+    data[name] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  }
+
+  const metaFile = path.join(dir, 'meta.json');
+  const meta = fs.existsSync(metaFile) ? JSON.parse(fs.readFileSync(metaFile, 'utf8')) : {};
+  if (!rebaseTimes || !meta.recordedAt) return data;
+
+  const shift = Math.floor(Date.now() / 1000) - meta.recordedAt;
+  for (const fixture of data.fixtures) {
+    fixture.startDate = new Date(Date.parse(fixture.startDate) + shift * 1000).toISOString();
+  }
+  for (const market of data.markets) {
+    if (market.gameTime) market.gameTime += shift;
+  }
+  for (const order of data.orders) {
+    order.apiExpiry += shift;
+    if (order.updateTime) order.updateTime += shift * 1000;
+  }
+  for (const trade of data.trades) {
+    trade.betTime += shift;
+  }
+  return data;
+}
+
+/**
+ * Local HTTP server that serves the SX Bet API endpoints from recorded fixtures.
+ * Write endpoints validate the request shape and signatures and update the in-memory state.
+ */
+class MockSXBetServer {
+  /**
+   * Creates a new mock server
+   * @param {Object} [config={}] Configuration options
+   * @param {string} [config.fixturesDir] Directory with recorded fixtures (defaults to ./fixtures)
+   * @param {boolean} [config.rebaseTimes=true] Shift recorded timestamps so the recording time becomes now
+   * @param {boolean} [config.verifySignatures=true] Reject write requests with invalid signatures
+   * @param {number} [config.chainId=4162] Chain ID used to verify EIP-712 signatures
+   * @param {string} [config.fillHasher] EIP-712 fill hasher used to verify fill signatures
+   * @param {string} [config.domainVersion] EIP-712 domain version used to verify fill signatures
+   */
+  constructor(config = {}) {
+    this.fixturesDir = config.fixturesDir || FIXTURES_DIR;
+    this.rebaseTimes = config.rebaseTimes !== false;
+    this.verifySignatures = config.verifySignatures !== false;
+    this.chainId = config.chainId || 4162;
+    this.fillHasher = config.fillHasher;
+    this.domainVersion = config.domainVersion;
+    this.server = null;
+    this.baseUrl = null;
+    this.requests = [];
+    this.reset();
+  }
+
+  /**
+   * Reloads the fixtures, discarding posted, cancelled and filled orders
+   */
+  reset() {
+    this.data = loadFixtures(this.fixturesDir, { rebaseTimes: this.rebaseTimes });
+    this.cancelled = new Set();
+    this.requests = [];
+  }
+
+  /**
+   * Starts listening on localhost
+   * @param {number} [port=0] Port to listen on (0 picks a free port)
+   * @returns {Promise<string>} Base URL of the server, e.g. 'http://127.0.0.1:8080'
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Handles a single HTTP request
+   * @private
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams.entries());
+
+    try {
+      let body = null;
+      if (req.method === 'POST') {
+        body = await readJsonBody(req);
+      }
+      this.requests.push({ method: req.method, path: url.pathname, query, body });
+
+      const data = this.route(req.method, url.pathname, query, body);
+      sendJson(res, 200, { status: 'success', data });
+    } catch (error) {
+      if (error instanceof MockRequestError) {
+        sendJson(res, error.statusCode, { status: 'failure', errorCode: error.errorCode, message: error.message });
+      } else {
+        sendJson(res, 500, { status: 'failure', errorCode: 'INTERNAL_ERROR', message: error.message });
+      }
+    }
+  }
+
+  /**
+   * Dispatches a request to its endpoint handler
+   * @private
+   */
+  route(method, pathname, query, body) {
+    const routes = {
+      'GET /sports': () => this.data.sports,
+      'GET /leagues/active': () => this.data.leagues,
+      'GET /fixture/active': () => this.getFixtures(query),
+      'GET /markets/active': () => this.getMarkets(query),
+      'GET /orders': () => this.getOrders(query),
+      'GET /trades': () => this.getTrades(query),
+      'GET /metadata': () => this.data.metadata,
+      'POST /orders/new': () => this.postOrders(body),
+      'POST /orders/fill': () => this.fillOrders(body),
+      'POST /orders/cancel/v2': () => this.cancelOrders(body),
+      'POST /orders/cancel/event': () => this.cancelEventOrders(body),
+      'POST /orders/cancel/all': () => this.cancelAllOrders(body)
+    };
+
+    const handler = routes[`${method} ${pathname}`];
+    if (!handler) {
+      throw new MockRequestError(404, 'NOT_FOUND', `No mock for ${method} ${pathname}`);
+    }
+    return handler();
+  }
+
+  getFixtures(query) {
+    if (query.leagueId === undefined) return this.data.fixtures;
+    return this.data.fixtures.filter(fixture => String(fixture.leagueId) === query.leagueId);
+  }
+
+  getMarkets(query) {
+    let markets = this.data.markets;
+    if (query.eventId !== undefined) {
+      markets = markets.filter(market => market.sportXEventId === query.eventId);
+    }
+    if (query.onlyMainLine === 'true') {
+      markets = markets.filter(market => market.mainLine);
+    }
+    return { markets };
+  }
+
+  /**
+   * Active orders: not cancelled, not fully filled and before their apiExpiry
+   * @private
+   */
+  getActiveOrders() {
+    const now = Math.floor(Date.now() / 1000);
+    return this.data.orders.filter(order =>
+      !this.cancelled.has(order.orderHash) &&
+      BigInt(order.fillAmount) < BigInt(order.totalBetSize) &&
+      order.apiExpiry > now
+    );
+  }
+
+  getOrders(query) {
+    let orders = this.getActiveOrders();
+    if (query.marketHashes) {
+      const hashes = new Set(query.marketHashes.split(','));
+      orders = orders.filter(order => hashes.has(order.marketHash));
+    }
+    if (query.maker) {
+      orders = orders.filter(order => order.maker.toLowerCase() === query.maker.toLowerCase());
+    }
+    if (query.baseToken) {
+      orders = orders.filter(order => order.baseToken.toLowerCase() === query.baseToken.toLowerCase());
+    }
+    if (query.chainVersion) {
+      orders = orders.filter(order => order.chainVersion === query.chainVersion);
+    }
+    return orders;
+  }
+
+  getTrades(query) {
+    let trades = this.data.trades;
+    if (query.marketHashes) {
+      const hashes = new Set(query.marketHashes.split(','));
+      trades = trades.filter(trade => hashes.has(trade.marketHash));
+    }
+    if (query.bettor) {
+      trades = trades.filter(trade => trade.bettor.toLowerCase() === query.bettor.toLowerCase());
+    }
+    if (query.maker !== undefined) {
+      trades = trades.filter(trade => String(trade.maker) === query.maker);
+    }
+    if (query.tradeStatus) {
+      trades = trades.filter(trade => trade.tradeStatus === query.tradeStatus);
+    }
+    if (query.chainVersion) {
+      trades = trades.filter(trade => trade.chainVersion === query.chainVersion);
+    }
+    if (query.startDate) {
+      trades = trades.filter(trade => trade.betTime >= Number(query.startDate));
+    }
+    if (query.endDate) {
+      trades = trades.filter(trade => trade.betTime <= Number(query.endDate));
+    }
+
+    const pageSize = Math.min(Number(query.pageSize) || 100, 300);
+    const offset = Number(query.paginationKey) || 0;
+    const page = trades.slice(offset, offset + pageSize);
+    const nextOffset = offset + pageSize;
+
+    return {
+      trades: page,
+      nextKey: nextOffset < trades.length ? String(nextOffset) : undefined,
+      pageSize,
+      count: trades.length
+    };
+  }
+
+  postOrders(body) {
+    if (!body || !Array.isArray(body.orders) || body.orders.length === 0) {
+      throw new MockRequestError(400, 'BAD_REQUEST', 'Body must be { orders: [...] } with at least one order');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const step = BigInt(this.data.metadata.oddsLadderStepSize || 25) * 10n ** 16n;
+    const accepted = [];
+
+    for (const [index, order] of body.orders.entries()) {
+      const missing = REQUIRED_ORDER_FIELDS.filter(field => order[field] === undefined || order[field] === null);
+      if (missing.length > 0) {
+        throw new MockRequestError(400, 'BAD_REQUEST', `Order ${index} is missing ${missing.join(', ')}`);
+      }
+      if (!this.data.markets.some(market => market.marketHash === order.marketHash)) {
+        throw new MockRequestError(400, 'MARKET_NOT_FOUND', `Order ${index}: unknown market ${order.marketHash}`);
+      }
+
+      const odds = BigInt(order.percentageOdds);
+      if (odds <= 0n || odds >= ODDS_PRECISION) {
+        throw new MockRequestError(400, 'BAD_REQUEST', `Order ${index}: percentageOdds out of range`);
+      }
+      if (odds % step !== 0n) {
+        throw new MockRequestError(400, 'ODDS_NOT_ON_LADDER', `Order ${index}: percentageOdds is not on the odds ladder`);
+      }
+      if (BigInt(order.totalBetSize) <= 0n) {
+        throw new MockRequestError(400, 'BAD_REQUEST', `Order ${index}: totalBetSize must be positive`);
+      }
+      if (Number(order.apiExpiry) <= now) {
+        throw new MockRequestError(400, 'ORDER_EXPIRED', `Order ${index}: apiExpiry is in the past`);
+      }
+
+      const orderHash = ethers.hexlify(createOrderHash(order));
+      if (this.verifySignatures) {
+        const signer = recoverOrDefault(() => ethers.verifyMessage(ethers.getBytes(orderHash), order.signature));
+        if (!sameAddress(signer, order.maker)) {
+          throw new MockRequestError(400, 'INVALID_SIGNATURE', `Order ${index}: signature does not match maker`);
+        }
+      }
+
+      const market = this.data.markets.find(m => m.marketHash === order.marketHash);
+      accepted.push({
+        fillAmount: '0',
+        pendingFillAmount: '0',
+        orderHash,
+        ...order,
+        apiExpiry: Number(order.apiExpiry),
+        updateTime: Date.now(),
+        sportXeventId: market.sportXEventId,
+        chainVersion: 'SXR'
+      });
+    }
+
+    this.data.orders.push(...accepted);
+    return { orders: accepted.map(order => order.orderHash) };
+  }
+
+  cancelOrders(body) {
+    const { orderHashes } = body || {};
+    if (!Array.isArray(orderHashes)) {
+      throw new MockRequestError(400, 'BAD_REQUEST', 'Body must include orderHashes, signature, salt, maker and timestamp');
+    }
+
+    const maker = this.verifyCancel(body, (salt, timestamp) =>
+      getCancelOrderEIP712Payload(orderHashes, salt, timestamp, this.chainId)
+    );
+    return this.cancelWhere(order => orderHashes.includes(order.orderHash) && sameAddress(order.maker, maker));
+  }
+
+  cancelEventOrders(body) {
+    const { sportXeventId } = body || {};
+    if (!sportXeventId) {
+      throw new MockRequestError(400, 'BAD_REQUEST', 'Body must include sportXeventId, signature, salt, maker and timestamp');
+    }
+
+    const maker = this.verifyCancel(body, (salt, timestamp) =>
+      getCancelEventOrdersEIP712Payload(sportXeventId, salt, timestamp, this.chainId)
+    );
+    return this.cancelWhere(order => order.sportXeventId === sportXeventId && sameAddress(order.maker, maker));
+  }
+
+  cancelAllOrders(body) {
+    const maker = this.verifyCancel(body, (salt, timestamp) =>
+      getCancelAllOrdersEIP712Payload(salt, timestamp, this.chainId)
+    );
+    return this.cancelWhere(order => sameAddress(order.maker, maker));
+  }
+
+  /**
+   * Checks the fields and EIP-712 signature shared by the cancel endpoints
+   * @private
+   * @returns {string} The maker
+   */
+  verifyCancel(body, buildPayload) {
+    const { signature, salt, maker, timestamp } = body || {};
+    if (!signature || !salt || !maker || timestamp === undefined) {
+      throw new MockRequestError(400, 'BAD_REQUEST', 'Body must include signature, salt, maker and timestamp');
+    }
+
+    if (this.verifySignatures) {
+      const payload = buildPayload(salt, timestamp);
+      const signer = recoverOrDefault(() =>
+        ethers.verifyTypedData(payload.domain, { Details: payload.types.Details }, payload.message, signature)
+      );
+      if (!sameAddress(signer, maker)) {
+        throw new MockRequestError(400, 'INVALID_SIGNATURE', 'Cancel signature does not match maker');
+      }
+    }
+    return maker;
+  }
+
+  /**
+   * @private
+   */
+  cancelWhere(predicate) {
+    let cancelledCount = 0;
+    for (const order of this.getActiveOrders()) {
+      if (predicate(order)) {
+        this.cancelled.add(order.orderHash);
+        cancelledCount++;
+      }
+    }
+    return { cancelledCount };
+  }
+
+  fillOrders(body) {
+    const { orderHashes, takerAmounts, taker, takerSig, fillSalt } = body || {};
+    if (!Array.isArray(orderHashes) || !Array.isArray(takerAmounts) || orderHashes.length === 0 ||
+        orderHashes.length !== takerAmounts.length || !taker || !takerSig || !fillSalt) {
+      throw new MockRequestError(400, 'BAD_REQUEST', 'Body must include matching orderHashes and takerAmounts, taker, takerSig and fillSalt');
+    }
+
+    const activeOrders = this.getActiveOrders();
+    const orders = orderHashes.map(hash => {
+      const order = activeOrders.find(o => o.orderHash === hash);
+      if (!order) {
+        throw new MockRequestError(400, 'ORDER_NOT_FOUND', `Order ${hash} is not active`);
+      }
+      return order;
+    });
+
+    if (this.verifySignatures) {
+      const payload = getFillOrderEIP712Payload(orders[0], takerAmounts[0], fillSalt, {
+        chainId: this.chainId,
+        fillHasher: this.fillHasher,
+        domainVersion: this.domainVersion
+      });
+      // The payload builder covers one order; extend it to every order in the fill
+      const fills = payload.message.fills;
+      fills.orders = orders.map(order => getFillOrderEIP712Payload(order, '0', fillSalt).message.fills.orders[0]);
+      fills.makerSigs = orders.map(order => order.signature);
+      fills.takerAmounts = takerAmounts;
+
+      const { Details, FillObject, Order } = payload.types;
+      const signer = recoverOrDefault(() =>
+        ethers.verifyTypedData(payload.domain, { Details, FillObject, Order }, payload.message, takerSig)
+      );
+      if (!sameAddress(signer, taker)) {
+        throw new MockRequestError(400, 'INVALID_SIGNATURE', 'Taker signature does not match taker');
+      }
+    }
+
+    orders.forEach((order, i) => {
+      const amount = BigInt(takerAmounts[i]);
+      if (amount <= 0n || BigInt(order.fillAmount) + amount > BigInt(order.totalBetSize)) {
+        throw new MockRequestError(400, 'INSUFFICIENT_SPACE', `Order ${order.orderHash} does not have ${amount} left to fill`);
+      }
+    });
+
+    const fillHash = ethers.keccak256(ethers.toUtf8Bytes(`${fillSalt}:${orderHashes.join(',')}`));
+    const betTime = Math.floor(Date.now() / 1000);
+
+    orders.forEach((order, i) => {
+      const amount = BigInt(takerAmounts[i]);
+      const odds = BigInt(order.percentageOdds);
+      order.fillAmount = (BigInt(order.fillAmount) + amount).toString();
+
+      // The taker's stake at the complementary odds
+      const takerOdds = toTakerOdds(odds);
+      const stake = amount * takerOdds / odds;
+      this.data.trades.push({
+        baseToken: order.baseToken,
+        bettor: taker,
+        stake: stake.toString(),
+        odds: takerOdds.toString(),
+        orderHash: order.orderHash,
+        marketHash: order.marketHash,
+        maker: false,
+        betTime,
+        settled: false,
+        bettingOutcomeOne: !order.isMakerBettingOutcomeOne,
+        fillHash,
+        tradeStatus: 'SUCCESS',
+        valid: true,
+        outcome: 0,
+        sportXeventId: order.sportXeventId,
+        chainVersion: order.chainVersion
+      });
+    });
+
+    return { fillHash };
+  }
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req The request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch (error) {
+        reject(new MockRequestError(400, 'BAD_REQUEST', 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Signature recovery throws on malformed signatures; treat those as a mismatch
+function recoverOrDefault(recover) {
+  try {
+    return recover();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Records fixtures from a live API into a directory, for use with MockSXBetServer
+ * @param {Object} [options={}] Recording options
+ * @param {string} [options.dir] Output directory (defaults to ./fixtures)
+ * @param {string} [options.baseUrl] API to record from (defaults to mainnet)
+ * @param {Array<number>} options.leagueIds Leagues to record fixtures, markets, orders and trades for
+ * @param {number} [options.maxFixtures=5] Maximum fixtures to record per league
+ * @returns {Promise<Object>} Number of records written per file
+ */
+async function recordFixtures(options = {}) {
+  const { dir = FIXTURES_DIR, baseUrl, leagueIds = [], maxFixtures = 5 } = options;
+  const request = { baseUrl };
+
+  const sports = await get('/sports', {}, request) || [];
+  const allLeagues = await get('/leagues/active', {}, request) || [];
+  const leagues = allLeagues.filter(league => leagueIds.includes(league.leagueId));
+
+  const fixtures = [];
+  for (const leagueId of leagueIds) {
+    const leagueFixtures = await get('/fixture/active', { leagueId }, request) || [];
+    fixtures.push(...leagueFixtures.slice(0, maxFixtures));
+  }
+
+  const markets = [];
+  for (const fixture of fixtures) {
+    const result = await get('/markets/active', { eventId: fixture.eventId, onlyMainLine: false }, request);
+    markets.push(...(result?.markets || []));
+  }
+
+  const orders = [];
+  const trades = [];
+  for (const market of markets) {
+    orders.push(...(await get('/orders', { marketHashes: market.marketHash }, request) || []));
+    const result = await get('/trades', { marketHashes: market.marketHash, pageSize: 100 }, request);
+    trades.push(...(result?.trades || []));
+  }
+
+  const metadata = await get('/metadata', {}, request) || {};
+  const data = { sports, leagues, fixtures, markets, orders, trades, metadata };
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, value] of Object.entries(data)) {
+    fs.writeFileSync(path.join(dir, `${name}.json`), `${JSON.stringify(value, null, 2)}\n`);
+  }
+  fs.writeFileSync(path.join(dir, 'meta.json'), `${JSON.stringify({ recordedAt: Math.floor(Date.now() / 1000) }, null, 2)}\n`);
+
+  return Object.fromEntries(Object.entries(data).map(([name, value]) => [name, Array.isArray(value) ? value.length : 1]));
+}
+
+export {
+  MockSXBetServer,
+  recordFixtures,
+  FIXTURES_DIR
+};
+
+// Run if executed directly: node standalone/mock-server/index.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = new MockSXBetServer();
+  server.start(Number(process.argv[2]) || 8080).then(baseUrl => {
+    console.log(`Mock SX Bet API listening on ${baseUrl}`);
+    console.log(`Point the modules at it with SX_BET_API_URL=${baseUrl}`);
+  });
+}
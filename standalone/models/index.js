@@ -0,0 +1,421 @@
+// Typed models for SX Bet API objects
+import { ODDS_PRECISION, toTakerOdds } from '../odds/index.js';
+
+/**
+ * Reads a required string field
+ * @param {Object} data Raw API object
+ * @param {string} field Field name
+ * @param {string} model Model name, used in error messages
+ * @returns {string} The field value
+ * @throws {TypeError} When the field is missing or not a string
+ */
+function requireString(data, field, model) {
+  const value = data[field];
+  if (typeof value !== 'string' || value === '') {
+    throw new TypeError(`${model}.${field} must be a non-empty string, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Reads an integer amount field as a BigInt
+ * @param {Object} data Raw API object
+ * @param {string} field Field name
+ * @param {string} model Model name, used in error messages
+ * @param {bigint} [defaultValue] Value used when the field is missing; required if omitted
+ * @returns {bigint} The field value
+ * @throws {TypeError} When the field is missing or not an integer
+ */
+function requireBigInt(data, field, model, defaultValue) {
+  const value = data[field];
+  if (value === undefined || value === null) {
+    if (defaultValue !== undefined) return defaultValue;
+    throw new TypeError(`${model}.${field} is required`);
+  }
+
+  try {
+    return BigInt(value);
+  } catch {
+    throw new TypeError(`${model}.${field} must be an integer, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Reads a numeric field
+ * @param {Object} data Raw API object
+ * @param {string} field Field name
+ * @param {string} model Model name, used in error messages
+ * @param {boolean} [required=true] Whether the field must be present
+ * @returns {number|undefined} The field value
+ * @throws {TypeError} When the field is missing (and required) or not a number
+ */
+function requireNumber(data, field, model, required = true) {
+  const value = data[field];
+  if (value === undefined || value === null) {
+    if (!required) return undefined;
+    throw new TypeError(`${model}.${field} is required`);
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new TypeError(`${model}.${field} must be a number, got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+/**
+ * An order from the /orders endpoint. All odds are from the maker's side unless noted.
+ */
+class Order {
+  /**
+   * @param {Object} data Raw order from the API
+   * @throws {TypeError} When a required field is missing or invalid
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Order data must be an object');
+    }
+
+    this.orderHash = requireString(data, 'orderHash', 'Order');
+    this.marketHash = requireString(data, 'marketHash', 'Order');
+    this.maker = requireString(data, 'maker', 'Order');
+    this.baseToken = data.baseToken;
+    this.executor = data.executor;
+    this.totalBetSize = requireBigInt(data, 'totalBetSize', 'Order');
+    this.percentageOdds = requireBigInt(data, 'percentageOdds', 'Order');
+    this.fillAmount = requireBigInt(data, 'fillAmount', 'Order', 0n);
+    this.pendingFillAmount = requireBigInt(data, 'pendingFillAmount', 'Order', 0n);
+    this.expiry = requireNumber(data, 'expiry', 'Order', false);
+    this.apiExpiry = requireNumber(data, 'apiExpiry', 'Order', false);
+    this.salt = data.salt === undefined ? undefined : requireBigInt(data, 'salt', 'Order');
+    this.isMakerBettingOutcomeOne = Boolean(data.isMakerBettingOutcomeOne);
+    this.signature = data.signature;
+    this.sportXeventId = data.sportXeventId;
+    this.chainVersion = data.chainVersion;
+    this.updateTime = data.updateTime;
+
+    if (this.percentageOdds <= 0n || this.percentageOdds >= ODDS_PRECISION) {
+      throw new TypeError(`Order.percentageOdds must be between 0 and 10^20, got ${this.percentageOdds}`);
+    }
+    if (this.totalBetSize <= 0n) {
+      throw new TypeError(`Order.totalBetSize must be positive, got ${this.totalBetSize}`);
+    }
+  }
+
+  /**
+   * Implied probability for the taker (10^20 precision)
+   * @returns {bigint}
+   */
+  get takerOdds() {
+    return toTakerOdds(this.percentageOdds);
+  }
+
+  /**
+   * Unfilled maker stake (in base units)
+   * @returns {bigint}
+   */
+  get remainingMakerSpace() {
+    const remaining = this.totalBetSize - this.fillAmount;
+    return remaining > 0n ? remaining : 0n;
+  }
+
+  /**
+   * Largest stake a taker can still bet against this order (in base units)
+   * @returns {bigint}
+   */
+  get remainingTakerSpace() {
+    const remaining = this.remainingMakerSpace;
+    return remaining * ODDS_PRECISION / this.percentageOdds - remaining;
+  }
+
+  /**
+   * Whether the order's API expiry has passed
+   * @returns {boolean}
+   */
+  get isExpired() {
+    return this.apiExpiry !== undefined && this.apiExpiry * 1000 <= Date.now();
+  }
+
+  /**
+   * Outcome a taker bets on when filling this order (1 or 2)
+   * @returns {number}
+   */
+  get takerOutcome() {
+    return this.isMakerBettingOutcomeOne ? 2 : 1;
+  }
+
+  /**
+   * Returns the order in the API's format, with amounts as strings
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      orderHash: this.orderHash,
+      marketHash: this.marketHash,
+      maker: this.maker,
+      baseToken: this.baseToken,
+      executor: this.executor,
+      totalBetSize: this.totalBetSize.toString(),
+      percentageOdds: this.percentageOdds.toString(),
+      fillAmount: this.fillAmount.toString(),
+      pendingFillAmount: this.pendingFillAmount.toString(),
+      expiry: this.expiry,
+      apiExpiry: this.apiExpiry,
+      salt: this.salt?.toString(),
+      isMakerBettingOutcomeOne: this.isMakerBettingOutcomeOne,
+      signature: this.signature,
+      sportXeventId: this.sportXeventId,
+      chainVersion: this.chainVersion,
+      updateTime: this.updateTime
+    };
+  }
+}
+
+/**
+ * A market from the /markets/active endpoint
+ */
+class Market {
+  /**
+   * @param {Object} data Raw market from the API
+   * @throws {TypeError} When a required field is missing or invalid
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Market data must be an object');
+    }
+
+    this.marketHash = requireString(data, 'marketHash', 'Market');
+    this.type = requireNumber(data, 'type', 'Market');
+    this.status = data.status;
+    this.outcomeOneName = data.outcomeOneName;
+    this.outcomeTwoName = data.outcomeTwoName;
+    this.outcomeVoidName = data.outcomeVoidName;
+    this.teamOneName = data.teamOneName;
+    this.teamTwoName = data.teamTwoName;
+    this.line = requireNumber(data, 'line', 'Market', false);
+    this.gameTime = requireNumber(data, 'gameTime', 'Market', false);
+    this.sportXEventId = data.sportXEventId;
+    this.sportId = data.sportId;
+    this.sportLabel = data.sportLabel;
+    this.leagueId = data.leagueId;
+    this.leagueLabel = data.leagueLabel;
+    this.mainLine = Boolean(data.mainLine);
+    this.liveEnabled = Boolean(data.liveEnabled);
+    this.chainVersion = data.chainVersion;
+    // Added by market-data's fetchMarkets
+    this.typeName = data.typeName;
+    this.typeCategory = data.typeCategory;
+  }
+
+  /**
+   * Game start time, if known
+   * @returns {Date|null}
+   */
+  get startDate() {
+    return this.gameTime === undefined ? null : new Date(this.gameTime * 1000);
+  }
+
+  /**
+   * Whether the market is open for betting
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.status === 'ACTIVE';
+  }
+
+  /**
+   * Name of an outcome
+   * @param {number} outcome 1 or 2 (0 for void)
+   * @returns {string} Outcome name
+   */
+  outcomeName(outcome) {
+    if (outcome === 1) return this.outcomeOneName;
+    if (outcome === 2) return this.outcomeTwoName;
+    return this.outcomeVoidName;
+  }
+
+  /**
+   * Returns the market in the API's format
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      marketHash: this.marketHash,
+      type: this.type,
+      status: this.status,
+      outcomeOneName: this.outcomeOneName,
+      outcomeTwoName: this.outcomeTwoName,
+      outcomeVoidName: this.outcomeVoidName,
+      teamOneName: this.teamOneName,
+      teamTwoName: this.teamTwoName,
+      line: this.line,
+      gameTime: this.gameTime,
+      sportXEventId: this.sportXEventId,
+      sportId: this.sportId,
+      sportLabel: this.sportLabel,
+      leagueId: this.leagueId,
+      leagueLabel: this.leagueLabel,
+      mainLine: this.mainLine,
+      liveEnabled: this.liveEnabled,
+      chainVersion: this.chainVersion,
+      typeName: this.typeName,
+      typeCategory: this.typeCategory
+    };
+  }
+}
+
+/**
+ * A trade from the /trades endpoint. `odds` and `stake` are from the bettor's side.
+ */
+class Trade {
+  /**
+   * @param {Object} data Raw trade from the API
+   * @throws {TypeError} When a required field is missing or invalid
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Trade data must be an object');
+    }
+
+    this.marketHash = requireString(data, 'marketHash', 'Trade');
+    this.bettor = requireString(data, 'bettor', 'Trade');
+    this.stake = requireBigInt(data, 'stake', 'Trade');
+    this.odds = requireBigInt(data, 'odds', 'Trade');
+    this.betTime = requireNumber(data, 'betTime', 'Trade');
+    this.maker = Boolean(data.maker);
+    this.bettingOutcomeOne = Boolean(data.bettingOutcomeOne);
+    this.orderHash = data.orderHash;
+    this.fillHash = data.fillHash;
+    this.baseToken = data.baseToken;
+    this.settled = Boolean(data.settled);
+    this.tradeStatus = data.tradeStatus;
+    this.valid = data.valid;
+    this.outcome = data.outcome;
+    this.sportXeventId = data.sportXeventId;
+    this.chainVersion = data.chainVersion;
+    this.normalizedStake = data.normalizedStake === undefined ? undefined : requireBigInt(data, 'normalizedStake', 'Trade');
+
+    if (this.odds <= 0n || this.odds >= ODDS_PRECISION) {
+      throw new TypeError(`Trade.odds must be between 0 and 10^20, got ${this.odds}`);
+    }
+  }
+
+  /**
+   * Implied probability for the taker side of the trade (10^20 precision)
+   * @returns {bigint}
+   */
+  get takerOdds() {
+    return this.maker ? toTakerOdds(this.odds) : this.odds;
+  }
+
+  /**
+   * Outcome the taker side of the trade bet on (1 or 2)
+   * @returns {number}
+   */
+  get takerOutcome() {
+    return this.bettingOutcomeOne !== this.maker ? 1 : 2;
+  }
+
+  /**
+   * Time the bet was placed
+   * @returns {Date}
+   */
+  get betDate() {
+    return new Date(this.betTime * 1000);
+  }
+
+  /**
+   * Returns the trade in the API's format, with amounts as strings
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      marketHash: this.marketHash,
+      bettor: this.bettor,
+      stake: this.stake.toString(),
+      odds: this.odds.toString(),
+      betTime: this.betTime,
+      maker: this.maker,
+      bettingOutcomeOne: this.bettingOutcomeOne,
+      orderHash: this.orderHash,
+      fillHash: this.fillHash,
+      baseToken: this.baseToken,
+      settled: this.settled,
+      tradeStatus: this.tradeStatus,
+      valid: this.valid,
+      outcome: this.outcome,
+      sportXeventId: this.sportXeventId,
+      chainVersion: this.chainVersion,
+      normalizedStake: this.normalizedStake?.toString()
+    };
+  }
+}
+
+/**
+ * A fixture (event) from the /fixture/active endpoint
+ */
+class Fixture {
+  /**
+   * @param {Object} data Raw fixture from the API
+   * @throws {TypeError} When a required field is missing or invalid
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new TypeError('Fixture data must be an object');
+    }
+
+    this.eventId = requireString(data, 'eventId', 'Fixture');
+    this.participantOneName = data.participantOneName;
+    this.participantTwoName = data.participantTwoName;
+    this.startDate = new Date(data.startDate);
+    this.status = requireNumber(data, 'status', 'Fixture', false);
+    this.sportId = data.sportId;
+    this.leagueId = data.leagueId;
+    this.leagueLabel = data.leagueLabel;
+
+    if (Number.isNaN(this.startDate.getTime())) {
+      throw new TypeError(`Fixture.startDate must be a valid date, got ${JSON.stringify(data.startDate)}`);
+    }
+  }
+
+  /**
+   * Whether the fixture's start time has passed
+   * @returns {boolean}
+   */
+  get hasStarted() {
+    return this.startDate.getTime() <= Date.now();
+  }
+
+  /**
+   * Whether the fixture is in progress (status 2, see FIXTURE_STATUS in market-data)
+   * @returns {boolean}
+   */
+  get isLive() {
+    return this.status === 2;
+  }
+
+  /**
+   * Returns the fixture in the API's format
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      eventId: this.eventId,
+      participantOneName: this.participantOneName,
+      participantTwoName: this.participantTwoName,
+      startDate: this.startDate.toISOString(),
+      status: this.status,
+      sportId: this.sportId,
+      leagueId: this.leagueId,
+      leagueLabel: this.leagueLabel
+    };
+  }
+}
+
+export {
+  Order,
+  Market,
+  Trade,
+  Fixture,
+  ODDS_PRECISION
+};
@@ -0,0 +1,294 @@
+// Odds conversion for SX Bet
+
+// SX odds (percentageOdds) are implied probabilities with 10^20 precision (10^20 = 100%)
+const ODDS_PRECISION = 10n ** 20n;
+
+// Supported formats, with the number of decimals used when formatting
+const ODDS_FORMATS = {
+  percentage: 0, // SX percentageOdds, e.g. '52500000000000000000'
+  implied: 4,    // Implied probability, e.g. '0.5250'
+  percent: 2,    // Implied probability in percent, e.g. '52.50%'
+  decimal: 2,    // Decimal (European), e.g. '1.90'
+  american: 0,   // American (moneyline), e.g. '-111' or '+150'
+  fractional: 0, // Fractional (UK), e.g. '10/11'
+  hongkong: 2    // Hong Kong, e.g. '0.90'
+};
+
+/**
+ * Parses a number, decimal string or BigInt into an exact fraction
+ * @param {string|number|bigint} value The value
+ * @returns {{num: bigint, den: bigint}} Fraction with a positive denominator
+ * @throws {TypeError} When the value is not a finite number
+ */
+function toFraction(value) {
+  if (typeof value === 'bigint') {
+    return { num: value, den: 1n };
+  }
+
+  const match = String(value).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new TypeError(`Invalid number: ${JSON.stringify(value)}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let num = BigInt(`${whole}${fraction}` || '0');
+  let den = 10n ** BigInt(fraction.length);
+
+  const exp = Number(exponent);
+  if (exp > 0) num *= 10n ** BigInt(exp);
+  if (exp < 0) den *= 10n ** BigInt(-exp);
+
+  return { num: sign === '-' ? -num : num, den };
+}
+
+/**
+ * Divides and rounds half away from zero
+ * @param {bigint} num Numerator
+ * @param {bigint} den Denominator (positive)
+ * @returns {bigint}
+ */
+function divRound(num, den) {
+  const half = den / 2n;
+  return num >= 0n ? (num + half) / den : -((-num + half) / den);
+}
+
+/**
+ * Formats a fraction as a fixed-point decimal string
+ * @param {bigint} num Numerator
+ * @param {bigint} den Denominator (positive)
+ * @param {number} decimals Number of decimals
+ * @returns {string}
+ */
+function formatFraction(num, den, decimals) {
+  const scaled = divRound(num * 10n ** BigInt(decimals), den);
+  const negative = scaled < 0n;
+  const digits = (negative ? -scaled : scaled).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals > 0 ? `.${digits.slice(-decimals)}` : '';
+  return `${negative ? '-' : ''}${whole}${fraction}`;
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Closest fraction to num/den with a denominator no larger than maxDenominator
+ * @param {bigint} num Numerator (positive)
+ * @param {bigint} den Denominator (positive)
+ * @param {bigint} maxDenominator Largest allowed denominator
+ * @returns {{num: bigint, den: bigint}}
+ */
+function limitDenominator(num, den, maxDenominator) {
+  if (den <= maxDenominator) return { num, den };
+
+  let [p0, q0, p1, q1] = [0n, 1n, 1n, 0n];
+  let [n, d] = [num, den];
+  for (;;) {
+    const a = n / d;
+    const q2 = q0 + a * q1;
+    if (q2 > maxDenominator) break;
+    [p0, q0, p1, q1] = [p1, q1, p0 + a * p1, q2];
+    [n, d] = [d, n - a * d];
+  }
+
+  // Pick the closer of the last convergent and the best semiconvergent
+  const k = (maxDenominator - q0) / q1;
+  const semi = { num: p0 + k * p1, den: q0 + k * q1 };
+  const convergent = { num: p1, den: q1 };
+  const error = ({ num: p, den: q }) => {
+    const diff = p * den - num * q;
+    return diff < 0n ? -diff : diff;
+  };
+  return error(convergent) * semi.den <= error(semi) * convergent.den ? convergent : semi;
+}
+
+/**
+ * Throws if the odds format is not supported
+ * @param {string} format Odds format
+ * @throws {TypeError} When the format is unknown
+ */
+function checkFormat(format) {
+  if (!Object.hasOwn(ODDS_FORMATS, format)) {
+    throw new TypeError(`Unknown odds format: ${format}. Use one of ${Object.keys(ODDS_FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Validates SX percentage odds
+ * @param {string|number|bigint} percentageOdds Odds with 10^20 precision
+ * @returns {bigint} The odds as a BigInt
+ * @throws {RangeError} When the odds are not strictly between 0 and 10^20
+ */
+function checkPercentageOdds(percentageOdds) {
+  const { num, den } = toFraction(percentageOdds);
+  const odds = divRound(num, den);
+  if (odds <= 0n || odds >= ODDS_PRECISION) {
+    throw new RangeError(`percentageOdds must be between 0 and 10^20, got ${percentageOdds}`);
+  }
+  return odds;
+}
+
+/**
+ * Converts maker odds into the taker's odds for the same order
+ * @param {string|number|bigint} percentageOdds Maker's percentage odds (10^20 precision)
+ * @returns {bigint} Taker's percentage odds
+ *
+ * Example:
+ * toTakerOdds('52500000000000000000'); // 47500000000000000000n
+ */
+function toTakerOdds(percentageOdds) {
+  return ODDS_PRECISION - checkPercentageOdds(percentageOdds);
+}
+
+/**
+ * Converts taker odds into the maker odds that offer them
+ * @param {string|number|bigint} takerOdds Taker's percentage odds (10^20 precision)
+ * @returns {bigint} Maker's percentage odds
+ */
+function toMakerOdds(takerOdds) {
+  return ODDS_PRECISION - checkPercentageOdds(takerOdds);
+}
+
+/**
+ * Converts odds in any format into SX percentage odds
+ * @param {string|number|bigint} value The odds
+ * @param {string} [format='percentage'] Format of the value (see ODDS_FORMATS)
+ * @returns {bigint} Percentage odds (10^20 precision), rounded to the nearest unit
+ * @throws {RangeError} When the odds are out of range for the format
+ * @throws {TypeError} When the format is unknown or the value cannot be parsed
+ *
+ * Example:
+ * toPercentageOdds('1.90', 'decimal');    // 52631578947368421053n
+ * toPercentageOdds(-110, 'american');     // 52380952380952380952n
+ * toPercentageOdds('10/11', 'fractional'); // 52380952380952380952n
+ */
+function toPercentageOdds(value, format = 'percentage') {
+  checkFormat(format);
+  if (format === 'percentage') {
+    return checkPercentageOdds(value);
+  }
+
+  let probability; // Implied probability as a fraction
+  if (format === 'fractional') {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'evens' || text === 'evs') {
+      probability = { num: 1n, den: 2n };
+    } else {
+      const [numerator, denominator = '1'] = text.split('/');
+      const a = toFraction(numerator);
+      const b = toFraction(denominator);
+      // Fractional a/b pays a for every b staked: probability = b / (a + b)
+      probability = { num: b.num * a.den, den: a.num * b.den + b.num * a.den };
+    }
+  } else {
+    const { num, den } = toFraction(format === 'percent' ? String(value).replace('%', '') : value);
+
+    switch (format) {
+      case 'implied':
+        probability = { num, den };
+        break;
+      case 'percent':
+        probability = { num, den: den * 100n };
+        break;
+      case 'decimal':
+        probability = { num: den, den: num };
+        break;
+      case 'hongkong':
+        probability = { num: den, den: num + den };
+        break;
+      case 'american':
+        if (num > -100n * den && num < 100n * den) {
+          throw new RangeError(`American odds must be at least +100 or at most -100, got ${value}`);
+        }
+        probability = num > 0n
+          ? { num: 100n * den, den: num + 100n * den }
+          : { num: -num, den: -num + 100n * den };
+        break;
+    }
+  }
+
+  if (probability.den < 0n) {
+    probability = { num: -probability.num, den: -probability.den };
+  }
+  if (probability.num <= 0n || probability.num >= probability.den) {
+    throw new RangeError(`${format} odds ${value} do not correspond to a probability between 0 and 1`);
+  }
+  return checkPercentageOdds(divRound(probability.num * ODDS_PRECISION, probability.den));
+}
+
+/**
+ * Formats SX percentage odds in another format
+ * @param {string|number|bigint} percentageOdds Percentage odds (10^20 precision)
+ * @param {string} [format='decimal'] Output format (see ODDS_FORMATS)
+ * @param {Object} [options={}] Formatting options
+ * @param {boolean} [options.taker=false] Treat the odds as maker odds and format the taker's side
+ * @param {number} [options.decimals] Number of decimals (defaults per format, see ODDS_FORMATS)
+ * @param {number} [options.maxDenominator] Approximate fractional odds with denominators up to this value
+ * @returns {string} Formatted odds
+ *
+ * Example:
+ * fromPercentageOdds('52500000000000000000');                        // '1.90'
+ * fromPercentageOdds('52500000000000000000', 'decimal', { taker: true }); // '2.11'
+ * fromPercentageOdds('52500000000000000000', 'american');            // '-111'
+ * fromPercentageOdds('52500000000000000000', 'fractional');          // '19/21'
+ */
+function fromPercentageOdds(percentageOdds, format = 'decimal', options = {}) {
+  checkFormat(format);
+
+  const { taker = false, decimals = ODDS_FORMATS[format], maxDenominator } = options;
+  const odds = taker ? toTakerOdds(percentageOdds) : checkPercentageOdds(percentageOdds);
+  const against = ODDS_PRECISION - odds;
+
+  switch (format) {
+    case 'percentage':
+      return odds.toString();
+    case 'implied':
+      return formatFraction(odds, ODDS_PRECISION, decimals);
+    case 'percent':
+      return `${formatFraction(odds * 100n, ODDS_PRECISION, decimals)}%`;
+    case 'decimal':
+      return formatFraction(ODDS_PRECISION, odds, decimals);
+    case 'hongkong':
+      return formatFraction(against, odds, decimals);
+    case 'american':
+      return odds <= ODDS_PRECISION / 2n
+        ? `+${formatFraction(100n * against, odds, decimals)}`
+        : formatFraction(-100n * odds, against, decimals);
+    case 'fractional': {
+      const divisor = gcd(against, odds);
+      let fraction = { num: against / divisor, den: odds / divisor };
+      if (maxDenominator) {
+        fraction = limitDenominator(fraction.num, fraction.den, BigInt(maxDenominator));
+      }
+      return `${fraction.num}/${fraction.den}`;
+    }
+  }
+}
+
+/**
+ * Converts odds between any two formats
+ * @param {string|number|bigint} value The odds
+ * @param {string} from Format of the value (see ODDS_FORMATS)
+ * @param {string} to Output format (see ODDS_FORMATS)
+ * @param {Object} [options={}] Formatting options (same as fromPercentageOdds)
+ * @returns {string} Converted odds
+ *
+ * Example:
+ * convertOdds(-110, 'american', 'decimal'); // '1.91'
+ * convertOdds('2.50', 'decimal', 'fractional'); // '3/2'
+ */
+function convertOdds(value, from, to, options = {}) {
+  return fromPercentageOdds(toPercentageOdds(value, from), to, options);
+}
+
+export {
+  ODDS_PRECISION,
+  ODDS_FORMATS,
+  toTakerOdds,
+  toMakerOdds,
+  toPercentageOdds,
+  fromPercentageOdds,
+  convertOdds
+};
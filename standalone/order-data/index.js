@@ -1,14 +1,96 @@
 // Order data service for SX Bet API
-import axios from 'axios';
+import { get, splitRequestOptions } from '../utils/index.js';
+import { Order } from '../models/index.js';
+import { OrderBook } from './order-book.js';
+import { walkBook, fillCapacity, priceImpact } from './price-impact.js';
 
-const API_BASE_URL = 'https://api.sx.bet';
+export { OrderBook, walkBook, fillCapacity, priceImpact };
+
+// Options handled by filterOrders rather than sent to the API
+const FILTER_KEYS = ['excludeMaker', 'minRemainingTakerSpace', 'minSecondsToExpiry', 'minTakerOdds', 'maxTakerOdds', 'takerOutcome'];
+
+/**
+ * Separates filterOrders options from the rest
+ * @param {Object} options Options passed to a fetch function
+ * @returns {{filters: Object, rest: Object}} Filter options and remaining options
+ */
+export function splitFilterOptions(options = {}) {
+  const filters = {};
+  const rest = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (FILTER_KEYS.includes(key)) {
+      if (value !== undefined) filters[key] = value;
+    } else {
+      rest[key] = value;
+    }
+  }
+  return { filters, rest };
+}
+
+/**
+ * Filter orders by maker, size, time to expiry, odds and outcome
+ * @param {Array<Object|Order>} orders - Raw orders or Order models
+ * @param {Object} filters - Filters (all optional)
+ * @param {string|string[]} filters.excludeMaker - Drop orders from these maker addresses (e.g. your own)
+ * @param {string|number|bigint} filters.minRemainingTakerSpace - Drop orders with less fillable taker stake (base units)
+ * @param {number} filters.minSecondsToExpiry - Drop orders whose apiExpiry is sooner than this
+ * @param {string|number|bigint} filters.minTakerOdds - Drop orders with a lower taker implied probability (10^20 precision)
+ * @param {string|number|bigint} filters.maxTakerOdds - Drop orders with a higher taker implied probability (10^20 precision)
+ * @param {number} filters.takerOutcome - Only keep orders a taker can fill to bet on this outcome (1 or 2)
+ * @returns {Array<Object|Order>} The orders that pass, in their original form
+ *
+ * Example:
+ * const fillable = filterOrders(orders, {
+ *   excludeMaker: wallet.address,
+ *   minRemainingTakerSpace: 5000000n, // 5 USDC
+ *   minSecondsToExpiry: 30,
+ *   takerOutcome: 1
+ * });
+ */
+export function filterOrders(orders, filters = {}) {
+  const {
+    excludeMaker,
+    minRemainingTakerSpace,
+    minSecondsToExpiry,
+    minTakerOdds,
+    maxTakerOdds,
+    takerOutcome
+  } = filters;
+
+  const excluded = new Set(
+    [].concat(excludeMaker || []).map(address => address.toLowerCase())
+  );
+  const minSpace = minRemainingTakerSpace === undefined ? null : BigInt(minRemainingTakerSpace);
+  const minOdds = minTakerOdds === undefined ? null : BigInt(minTakerOdds);
+  const maxOdds = maxTakerOdds === undefined ? null : BigInt(maxTakerOdds);
+  const now = Math.floor(Date.now() / 1000);
+
+  return orders.filter(order => {
+    const model = order instanceof Order ? order : new Order(order);
+
+    if (excluded.has(model.maker.toLowerCase())) return false;
+    if (takerOutcome !== undefined && model.takerOutcome !== takerOutcome) return false;
+    if (minSpace !== null && model.remainingTakerSpace < minSpace) return false;
+    if (minOdds !== null && model.takerOdds < minOdds) return false;
+    if (maxOdds !== null && model.takerOdds > maxOdds) return false;
+    if (minSecondsToExpiry !== undefined && model.apiExpiry !== undefined && model.apiExpiry - now < minSecondsToExpiry) return false;
+    return true;
+  });
+}
 
 /**
  * Fetch active orders for a market
  * @param {string} marketHash - The market's hash
  * @param {Object} options - Optional parameters
  * @param {string} options.chainVersion - Chain version (e.g., 'SXR')
- * @returns {Promise<Array>} Array of order objects
+ * @param {string} options.baseUrl - API base URL (defaults to mainnet)
+ * @param {string} options.apiKey - SX Bet API key
+ * @param {boolean} options.asModels - Return Order models instead of raw objects
+ * @returns {Promise<Array>} Array of order objects (or Order models)
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ * 
+ * Filter options (see filterOrders): excludeMaker, minRemainingTakerSpace, minSecondsToExpiry,
+ * minTakerOdds, maxTakerOdds, takerOutcome
  * 
  * Example:
  * const orders = await fetchOrders('0x123...', { chainVersion: 'SXR' });
@@ -27,26 +109,23 @@ const API_BASE_URL = 'https://api.sx.bet';
  * // ]
  */
 export async function fetchOrders(marketHash, options = {}) {
-  try {
-    const params = {
-      marketHashes: marketHash,
-      ...options
-    };
+  const { filters, rest: { asModels = false, ...rest } } = splitFilterOptions(options);
+  const { query, request } = splitRequestOptions(rest);
+  const params = {
+    marketHashes: marketHash,
+    ...query
+  };
 
-    const response = await axios.get(`${API_BASE_URL}/orders`, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error('Error fetching orders:', error.message);
-    return [];
-  }
+  const orders = filterOrders(await get('/orders', params, request) || [], filters);
+  return asModels ? orders.map(order => new Order(order)) : orders;
 }
 
 /**
  * Fetch orders for multiple markets
  * @param {string[]} marketHashes - Array of market hashes
- * @param {Object} options - Optional parameters
- * @param {string} options.chainVersion - Chain version (e.g., 'SXR')
+ * @param {Object} options - Optional parameters (same as fetchOrders)
  * @returns {Promise<Object>} Object mapping market hashes to their orders
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const orders = await fetchOrdersMulti(['0x123...', '0x456...']);
@@ -57,24 +136,77 @@ export async function fetchOrders(marketHash, options = {}) {
  * // }
  */
 export async function fetchOrdersMulti(marketHashes, options = {}) {
-  try {
-    const params = {
-      marketHashes: marketHashes.join(','),
-      ...options
-    };
+  const { filters, rest: { asModels = false, ...rest } } = splitFilterOptions(options);
+  const { query, request } = splitRequestOptions(rest);
+  const params = {
+    marketHashes: marketHashes.join(','),
+    ...query
+  };
 
-    const response = await axios.get(`${API_BASE_URL}/orders`, { params });
-    const orders = response.data.data || [];
+  const orders = filterOrders(await get('/orders', params, request) || [], filters);
 
-    // Group orders by market hash
-    return orders.reduce((acc, order) => {
-      const hash = order.marketHash;
-      if (!acc[hash]) acc[hash] = [];
-      acc[hash].push(order);
-      return acc;
-    }, {});
-  } catch (error) {
-    console.error('Error fetching multiple orders:', error.message);
-    return {};
-  }
-} 
\ No newline at end of file
+  // Group orders by market hash
+  return orders.reduce((acc, order) => {
+    const hash = order.marketHash;
+    if (!acc[hash]) acc[hash] = [];
+    acc[hash].push(asModels ? new Order(order) : order);
+    return acc;
+  }, {});
+}
+
+/**
+ * Fetch the active orders for a market as an OrderBook
+ * @param {string} marketHash - The market's hash
+ * @param {Object} options - Optional parameters (same as fetchOrders, plus includeExpired)
+ * @returns {Promise<OrderBook>} Order book for the market
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ *
+ * Example:
+ * const book = await fetchOrderBook('0x123...');
+ * console.log(book.bestOdds(1), book.spread());
+ */
+export async function fetchOrderBook(marketHash, options = {}) {
+  const { includeExpired, ...fetchOptions } = options;
+  const orders = await fetchOrders(marketHash, { ...fetchOptions, asModels: true });
+  return new OrderBook(orders, { includeExpired });
+}
+
+/**
+ * Fetch a market's orders and calculate the fill capacity for an outcome
+ * @param {string} marketHash - The market's hash
+ * @param {number} outcome - Outcome the taker bets on (1 or 2)
+ * @param {string|number|bigint} maxTakerOdds - Worst taker odds to accept (10^20 precision), or undefined for no limit
+ * @param {Object} options - Optional parameters (same as fetchOrders)
+ * @returns {Promise<Object>} Walk result (see walkBook); `stake` is the capacity
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ *
+ * Example:
+ * const capacity = await fetchFillCapacity('0x123...', 1, toPercentageOdds('1.95', 'decimal'), {
+ *   excludeMaker: wallet.address
+ * });
+ * console.log(toNominalAmount(capacity.stake));
+ */
+export async function fetchFillCapacity(marketHash, outcome, maxTakerOdds, options = {}) {
+  const { includeExpired, ...fetchOptions } = options;
+  const orders = await fetchOrders(marketHash, { ...fetchOptions, takerOutcome: outcome, asModels: true });
+  return walkBook(orders, outcome, { maxTakerOdds, includeExpired });
+}
+
+/**
+ * Fetch a market's orders and calculate the average odds and price impact of a stake
+ * @param {string} marketHash - The market's hash
+ * @param {number} outcome - Outcome the taker bets on (1 or 2)
+ * @param {string|number|bigint} stake - Taker stake in base units
+ * @param {Object} options - Optional parameters (same as fetchOrders; maxTakerOdds caps the odds walked)
+ * @returns {Promise<Object>} Walk result with priceImpact (see priceImpact)
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ *
+ * Example:
+ * const impact = await fetchPriceImpact('0x123...', 2, 100000000n); // 100 USDC
+ * console.log(fromPercentageOdds(impact.vwapTakerOdds), impact.fills.length);
+ */
+export async function fetchPriceImpact(marketHash, outcome, stake, options = {}) {
+  const { includeExpired, ...fetchOptions } = options;
+  const orders = await fetchOrders(marketHash, { ...fetchOptions, takerOutcome: outcome, asModels: true });
+  return priceImpact(orders, outcome, stake, { includeExpired });
+}
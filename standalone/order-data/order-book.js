@@ -0,0 +1,201 @@
+// Order book aggregated from the taker's point of view
+import { Order } from '../models/index.js';
+import { ODDS_PRECISION } from '../odds/index.js';
+
+/**
+ * Order book for a single market, built from maker orders.
+ *
+ * A maker betting on outcome one offers takers a bet on outcome two, so each order
+ * is filed under its taker outcome. Levels are keyed by taker odds and sorted best
+ * first, i.e. lowest implied probability (highest payout) first.
+ */
+export class OrderBook {
+  /**
+   * @param {Array<Object|Order>} [orders=[]] Orders from fetchOrders (raw or Order models)
+   * @param {Object} [options={}] Book options
+   * @param {boolean} [options.includeExpired=false] Keep orders past their apiExpiry
+   */
+  constructor(orders = [], options = {}) {
+    this.includeExpired = options.includeExpired ?? false;
+    this.orders = new Map();
+
+    for (const order of orders) {
+      this.add(order);
+    }
+  }
+
+  /**
+   * Adds an order, or replaces the order with the same hash
+   * @param {Object|Order} order Raw order or Order model
+   * @returns {boolean} Whether the order is in the book (false when filled or expired)
+   */
+  add(order) {
+    const model = order instanceof Order ? order : new Order(order);
+    if (model.remainingTakerSpace <= 0n || (!this.includeExpired && model.isExpired)) {
+      this.orders.delete(model.orderHash);
+      return false;
+    }
+
+    this.orders.set(model.orderHash, model);
+    return true;
+  }
+
+  /**
+   * Removes an order
+   * @param {string} orderHash Hash of the order
+   * @returns {boolean} Whether the order was in the book
+   */
+  remove(orderHash) {
+    return this.orders.delete(orderHash);
+  }
+
+  /**
+   * Looks up an order
+   * @param {string} orderHash Hash of the order
+   * @returns {Order|undefined}
+   */
+  get(orderHash) {
+    return this.orders.get(orderHash);
+  }
+
+  /**
+   * Removes orders past their apiExpiry
+   * @returns {string[]} Hashes of the removed orders
+   */
+  removeExpired() {
+    const removed = [];
+    for (const [orderHash, order] of this.orders) {
+      if (order.isExpired) {
+        this.orders.delete(orderHash);
+        removed.push(orderHash);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Applies order updates from the websocket API
+   *
+   * Updates older than the order already in the book are skipped. INACTIVE orders are
+   * removed, as are orders that become filled or (unless includeExpired is set) expired.
+   *
+   * @param {Array<Object>} updates Updates as emitted by SXWebsocketClient's orderBookUpdate event
+   * @param {string} [marketHash] Market of the updates, which websocket updates do not carry
+   * @returns {{added: Order[], updated: Order[], removed: string[]}} What changed (removed holds order hashes)
+   */
+  applyUpdates(updates, marketHash) {
+    const diff = { added: [], updated: [], removed: [] };
+
+    for (const update of updates) {
+      const existing = this.get(update.orderHash);
+
+      // Skip updates older than what the book already has (e.g. buffered before a snapshot)
+      if (existing && Number(update.updateTime) < Number(existing.updateTime)) continue;
+
+      if (update.status === 'INACTIVE') {
+        if (this.remove(update.orderHash)) diff.removed.push(update.orderHash);
+        continue;
+      }
+
+      let inBook;
+      try {
+        inBook = this.add(marketHash ? { ...update, marketHash } : update);
+      } catch (error) {
+        console.error(`Ignoring invalid order update ${update.orderHash}:`, error.message);
+        continue;
+      }
+
+      if (inBook) {
+        (existing ? diff.updated : diff.added).push(this.get(update.orderHash));
+      } else if (existing) {
+        // Filled or past apiExpiry
+        diff.removed.push(update.orderHash);
+      }
+    }
+
+    if (!this.includeExpired) {
+      diff.removed.push(...this.removeExpired());
+    }
+    return diff;
+  }
+
+  /**
+   * Orders that are still fillable (not expired, unless includeExpired is set)
+   * @returns {Order[]}
+   */
+  activeOrders() {
+    const orders = Array.from(this.orders.values());
+    return this.includeExpired ? orders : orders.filter(order => !order.isExpired);
+  }
+
+  /**
+   * Aggregated price levels for a taker betting on an outcome, best odds first
+   * @param {number} outcome 1 or 2
+   * @returns {Array<{takerOdds: bigint, makerOdds: bigint, liquidity: bigint, cumulativeLiquidity: bigint, orderCount: number}>}
+   *   takerOdds/makerOdds with 10^20 precision; liquidity in base units of taker stake
+   */
+  levels(outcome) {
+    const byOdds = new Map();
+    for (const order of this.activeOrders()) {
+      if (order.takerOutcome !== outcome) continue;
+
+      const key = order.takerOdds;
+      const level = byOdds.get(key) || { takerOdds: key, makerOdds: order.percentageOdds, liquidity: 0n, orderCount: 0 };
+      level.liquidity += order.remainingTakerSpace;
+      level.orderCount += 1;
+      byOdds.set(key, level);
+    }
+
+    let cumulative = 0n;
+    return Array.from(byOdds.values())
+      .sort((a, b) => (a.takerOdds < b.takerOdds ? -1 : a.takerOdds > b.takerOdds ? 1 : 0))
+      .map(level => {
+        cumulative += level.liquidity;
+        return { ...level, cumulativeLiquidity: cumulative };
+      });
+  }
+
+  /**
+   * Best price level for a taker betting on an outcome
+   * @param {number} outcome 1 or 2
+   * @returns {Object|null} The best level (see levels), or null when the side is empty
+   */
+  bestOdds(outcome) {
+    return this.levels(outcome)[0] || null;
+  }
+
+  /**
+   * Spread between the best taker odds on both outcomes: the sum of their implied
+   * probabilities above 100%. Zero means a taker could back both sides at fair odds.
+   * @returns {bigint|null} Spread with 10^20 precision, or null when either side is empty
+   */
+  spread() {
+    const one = this.bestOdds(1);
+    const two = this.bestOdds(2);
+    if (!one || !two) return null;
+    return one.takerOdds + two.takerOdds - ODDS_PRECISION;
+  }
+
+  /**
+   * Orders behind a price level, largest remaining size first
+   * @param {number} outcome 1 or 2
+   * @param {string|number|bigint} takerOdds Taker odds of the level (10^20 precision)
+   * @returns {Order[]}
+   */
+  ordersAt(outcome, takerOdds) {
+    const odds = BigInt(takerOdds);
+    return this.activeOrders()
+      .filter(order => order.takerOutcome === outcome && order.takerOdds === odds)
+      .sort((a, b) => (b.remainingTakerSpace > a.remainingTakerSpace ? 1 : b.remainingTakerSpace < a.remainingTakerSpace ? -1 : 0));
+  }
+
+  /**
+   * Total taker liquidity for an outcome
+   * @param {number} outcome 1 or 2
+   * @returns {bigint} Liquidity in base units
+   */
+  totalLiquidity(outcome) {
+    const levels = this.levels(outcome);
+    return levels.length > 0 ? levels[levels.length - 1].cumulativeLiquidity : 0n;
+  }
+}
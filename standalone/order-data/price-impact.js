@@ -0,0 +1,116 @@
+// Fill capacity and price impact for a taker walking the order book
+import { ODDS_PRECISION } from '../odds/index.js';
+import { OrderBook } from './order-book.js';
+
+/**
+ * Walks the book for a taker betting on an outcome, best odds first
+ *
+ * Orders are consumed level by level, largest order first within a level, until the
+ * stake is used up or the next level is worse than maxTakerOdds. Amounts are in base
+ * units and odds are taker implied probabilities with 10^20 precision; all math is
+ * BigInt, rounding down like calculateFillAmount and calculatePotentialPayout in
+ * order-filling.
+ *
+ * @param {OrderBook|Array<Object|Order>} orders Order book, or orders from fetchOrders (raw or models)
+ * @param {number} outcome Outcome the taker bets on (1 or 2)
+ * @param {Object} [options={}] Walk options
+ * @param {string|number|bigint} [options.stake] Taker stake to place (default: everything available)
+ * @param {string|number|bigint} [options.maxTakerOdds] Worst taker odds to accept (default: no limit)
+ * @param {boolean} [options.includeExpired=false] Consume orders past their apiExpiry (arrays only)
+ * @returns {Object} Walk result
+ *   - stake: Taker stake that can be filled (bigint)
+ *   - unfilledStake: Part of the requested stake left over (bigint, 0n without a stake)
+ *   - payout: Total payout if the outcome wins, stake included (bigint)
+ *   - vwapTakerOdds: Effective taker odds, stake * 10^20 / payout (bigint|null)
+ *   - bestTakerOdds / worstTakerOdds: Best and worst levels touched (bigint|null)
+ *   - fills: [{ order, takerOdds, stake, fillAmount, payout }], in fill order; fillAmount is
+ *     the value calculateFillAmount returns for the stake
+ * @throws {RangeError} When the outcome is not 1 or 2, or the stake is not positive
+ */
+export function walkBook(orders, outcome, options = {}) {
+  if (outcome !== 1 && outcome !== 2) {
+    throw new RangeError(`outcome must be 1 or 2, got ${outcome}`);
+  }
+  const target = options.stake === undefined ? null : BigInt(options.stake);
+  if (target !== null && target <= 0n) {
+    throw new RangeError(`stake must be positive, got ${target}`);
+  }
+  const limit = options.maxTakerOdds === undefined ? null : BigInt(options.maxTakerOdds);
+  const book = orders instanceof OrderBook
+    ? orders
+    : new OrderBook(orders, { includeExpired: options.includeExpired });
+
+  const fills = [];
+  let stake = 0n;
+  let payout = 0n;
+
+  walk:
+  for (const level of book.levels(outcome)) {
+    if (limit !== null && level.takerOdds > limit) break;
+
+    for (const order of book.ordersAt(outcome, level.takerOdds)) {
+      const available = order.remainingTakerSpace;
+      const orderStake = target === null || target - stake > available ? available : target - stake;
+      const orderPayout = orderStake * ODDS_PRECISION / level.takerOdds;
+
+      fills.push({
+        order,
+        takerOdds: level.takerOdds,
+        stake: orderStake,
+        fillAmount: orderStake * order.percentageOdds / level.takerOdds,
+        payout: orderPayout
+      });
+      stake += orderStake;
+      payout += orderPayout;
+
+      if (target !== null && stake === target) break walk;
+    }
+  }
+
+  return {
+    outcome,
+    stake,
+    unfilledStake: target === null ? 0n : target - stake,
+    payout,
+    vwapTakerOdds: payout > 0n ? stake * ODDS_PRECISION / payout : null,
+    bestTakerOdds: fills.length > 0 ? fills[0].takerOdds : null,
+    worstTakerOdds: fills.length > 0 ? fills[fills.length - 1].takerOdds : null,
+    fills
+  };
+}
+
+/**
+ * How much a taker can stake on an outcome at odds no worse than a limit
+ * @param {OrderBook|Array<Object|Order>} orders Order book or orders (see walkBook)
+ * @param {number} outcome Outcome the taker bets on (1 or 2)
+ * @param {string|number|bigint} [maxTakerOdds] Worst taker odds to accept, 10^20 precision (default: no limit)
+ * @returns {Object} Walk result (see walkBook); `stake` is the capacity
+ *
+ * Example:
+ * // Everything available on outcome one at 2.00 decimal odds or better
+ * const { stake, vwapTakerOdds } = fillCapacity(orders, 1, toPercentageOdds('2.00', 'decimal'));
+ */
+export function fillCapacity(orders, outcome, maxTakerOdds) {
+  return walkBook(orders, outcome, { maxTakerOdds });
+}
+
+/**
+ * Average odds and price impact of placing a stake on an outcome
+ * @param {OrderBook|Array<Object|Order>} orders Order book or orders (see walkBook)
+ * @param {number} outcome Outcome the taker bets on (1 or 2)
+ * @param {string|number|bigint} stake Taker stake in base units
+ * @param {Object} [options={}] Walk options (maxTakerOdds, includeExpired; see walkBook)
+ * @returns {Object} Walk result (see walkBook), plus `priceImpact`: vwapTakerOdds minus
+ *   bestTakerOdds, 10^20 precision (bigint|null)
+ *
+ * Example:
+ * const impact = priceImpact(orders, 2, 250000000n); // 250 USDC
+ * if (impact.unfilledStake > 0n) console.log('Not enough liquidity');
+ */
+export function priceImpact(orders, outcome, stake, options = {}) {
+  const result = walkBook(orders, outcome, { ...options, stake });
+  return {
+    ...result,
+    priceImpact: result.vwapTakerOdds === null ? null : result.vwapTakerOdds - result.bestTakerOdds
+  };
+}
@@ -1,5 +1,9 @@
 import { ethers } from 'ethers';
 import { randomBytes } from 'crypto';
+import { Order } from '../models/index.js';
+import { filterOrders, splitFilterOptions } from '../order-data/index.js';
+import { get, post, splitRequestOptions } from '../utils/index.js';
+import { ODDS_PRECISION, toTakerOdds, fromPercentageOdds } from '../odds/index.js';
 
 // Constants
 const CONSTANTS = {
@@ -10,42 +14,41 @@ const CONSTANTS = {
   DOMAIN_NAME: 'SX Bet',
   DOMAIN_VERSION: '6.0',
   CHAIN_ID: 4162,
-  API_BASE_URL: 'https://api.sx.bet'
+  API_BASE_URL: process.env.SX_BET_API_URL || 'https://api.sx.bet'
 };
 
 /**
  * Fetches active orders from the SX Bet API
  * @param {string} maker The maker's address
  * @param {string} [chainVersion='SXR'] The chain version
- * @returns {Promise<Array>} Array of active orders
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl=CONSTANTS.API_BASE_URL] API base URL
+ * @param {string} [options.apiKey] SX Bet API key
+ * @param {boolean} [options.asModels=false] Return Order models instead of raw objects
+ *   Also accepts the filter options of filterOrders in ../order-data (e.g. minSecondsToExpiry, takerOutcome)
+ *   and the retry options of get in ../utils
+ * @returns {Promise<Array>} Array of active orders; empty only when the maker has none
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  */
-async function fetchActiveOrders(maker, chainVersion = 'SXR') {
-  try {
-    const response = await fetch(
-      `${CONSTANTS.API_BASE_URL}/orders?maker=${maker}&chainVersion=${chainVersion}`
-    );
-    
-    const data = await response.json();
-    
-    if (data.status !== 'success') {
-      throw new Error(`API error: ${JSON.stringify(data)}`);
-    }
-    
-    return data.data;
-  } catch (error) {
-    console.error('Error fetching active orders:', error.message);
-    return [];
-  }
+async function fetchActiveOrders(maker, chainVersion = 'SXR', options = {}) {
+  const { filters, rest: { asModels = false, ...rest } } = splitFilterOptions(options);
+  const { request } = splitRequestOptions(rest);
+  const baseUrl = rest.baseUrl || CONSTANTS.API_BASE_URL;
+
+  const data = await get('/orders', { maker, chainVersion }, { ...request, baseUrl });
+  const orders = filterOrders(data || [], filters);
+  return asModels ? orders.map(order => new Order(order)) : orders;
 }
 
 /**
  * Converts percentage odds to display format
  * @param {string} percentageOdds The odds in percentage format (10^20 precision)
- * @returns {string} Formatted odds string
+ * @param {string} [format='percent'] Display format (see ODDS_FORMATS in ../odds)
+ * @param {Object} [options={}] Formatting options (see fromPercentageOdds in ../odds)
+ * @returns {string} Formatted odds string, e.g. '52.50%'
  */
-function formatOdds(percentageOdds) {
-  const impliedOdds = BigInt(percentageOdds) * BigInt(100) / BigInt(10**20);
-  return `${impliedOdds.toString()}%`;
+function formatOdds(percentageOdds, format = 'percent', options = {}) {
+  return fromPercentageOdds(percentageOdds, format, options);
 }
 
 /**
@@ -56,11 +59,7 @@ function formatOdds(percentageOdds) {
  */
 function calculatePotentialPayout(betAmount, percentageOdds) {
   const amount = BigInt(betAmount);
-  const odds = BigInt(percentageOdds);
-  const base = BigInt(10**20);
-  
-  const denominator = base - odds;
-  const payout = amount * base / denominator;
+  const payout = amount * ODDS_PRECISION / toTakerOdds(percentageOdds);
   
   return payout.toString();
 }
@@ -83,24 +82,23 @@ function generateFillSalt() {
 function calculateFillAmount(takerBetAmount, percentageOdds) {
   const betAmount = BigInt(takerBetAmount);
   const odds = BigInt(percentageOdds);
-  const base = BigInt(10**20);
-  
-  const denominator = base - odds;
-  const fillAmount = betAmount * odds / denominator;
+  const fillAmount = betAmount * odds / toTakerOdds(odds);
   
   return fillAmount.toString();
 }
 
 /**
- * Creates the EIP-712 signing payload for filling an order
+ * Creates the EIP-712 typed data structure for filling an order
  * @param {Object} order The order object
- * @param {string} takerBetAmount The taker's bet amount (in base units)
- * @returns {Object} Signing payload with fillAmount and fillSalt
+ * @param {string} fillAmount The fill amount sent to the API (in base units)
+ * @param {string} fillSalt The fill salt
+ * @param {Object} [options={}] Network overrides
+ * @param {number} [options.chainId=CONSTANTS.CHAIN_ID] Chain ID for the EIP-712 domain
+ * @param {string} [options.fillHasher=CONSTANTS.EIP712_FILL_HASHER] EIP-712 fill hasher contract
+ * @param {string} [options.domainVersion=CONSTANTS.DOMAIN_VERSION] EIP-712 domain version
+ * @returns {Object} EIP-712 typed data structure
  */
-function createSigningPayload(order, takerBetAmount) {
-  const fillSalt = generateFillSalt();
-  const fillAmount = calculateFillAmount(takerBetAmount, order.percentageOdds);
-  
+function getFillOrderEIP712Payload(order, fillAmount, fillSalt, options = {}) {
   return {
     types: {
       EIP712Domain: [
@@ -142,9 +140,9 @@ function createSigningPayload(order, takerBetAmount) {
     primaryType: 'Details',
     domain: {
       name: CONSTANTS.DOMAIN_NAME,
-      version: CONSTANTS.DOMAIN_VERSION,
-      chainId: CONSTANTS.CHAIN_ID,
-      verifyingContract: CONSTANTS.EIP712_FILL_HASHER
+      version: options.domainVersion || CONSTANTS.DOMAIN_VERSION,
+      chainId: options.chainId || CONSTANTS.CHAIN_ID,
+      verifyingContract: options.fillHasher || CONSTANTS.EIP712_FILL_HASHER
     },
     message: {
       action: 'N/A',
@@ -172,7 +170,23 @@ function createSigningPayload(order, takerBetAmount) {
         beneficiaryType: 0,
         cashOutTarget: ethers.ZeroHash
       }
-    },
+    }
+  };
+}
+
+/**
+ * Creates the EIP-712 signing payload for filling an order
+ * @param {Object} order The order object
+ * @param {string} takerBetAmount The taker's bet amount (in base units)
+ * @param {Object} [options={}] Network overrides (see getFillOrderEIP712Payload)
+ * @returns {Object} Signing payload with fillAmount and fillSalt
+ */
+function createSigningPayload(order, takerBetAmount, options = {}) {
+  const fillSalt = generateFillSalt();
+  const fillAmount = calculateFillAmount(takerBetAmount, order.percentageOdds);
+
+  return {
+    ...getFillOrderEIP712Payload(order, fillAmount, fillSalt, options),
     fillAmount,
     fillSalt
   };
@@ -183,12 +197,21 @@ function createSigningPayload(order, takerBetAmount) {
  * @param {Object} order The order to fill
  * @param {ethers.Wallet} wallet The wallet to sign with
  * @param {string} betAmount The bet amount (in base units)
+ * @param {Object} [options={}] Request and network overrides
+ * @param {string} [options.baseUrl=CONSTANTS.API_BASE_URL] API base URL
+ * @param {string} [options.apiKey] SX Bet API key
+ * @param {string} [options.taker=CONSTANTS.TAKER_ADDRESS] Taker address sent to the API
+ * @param {number} [options.chainId] Chain ID (see getFillOrderEIP712Payload)
+ * @param {string} [options.fillHasher] Fill hasher contract (see getFillOrderEIP712Payload)
+ * @param {string} [options.domainVersion] Domain version (see getFillOrderEIP712Payload)
+ * @param {number} [options.retries=0] Retries on 429, 5xx and network errors (see post in ../utils)
  * @returns {Promise<Object>} API response
+ * @throws {RateLimitError|ApiError|NetworkError} When the API rejects the fill or cannot be reached
  */
-async function fillOrder(order, wallet, betAmount) {
+async function fillOrder(order, wallet, betAmount, options = {}) {
   try {
     // Create signing payload with amount conversion
-    const signingPayload = createSigningPayload(order, betAmount);
+    const signingPayload = createSigningPayload(order, betAmount, options);
     const fillAmount = signingPayload.fillAmount;
     const fillSalt = signingPayload.fillSalt;
     
@@ -203,7 +226,7 @@ async function fillOrder(order, wallet, betAmount) {
     const apiPayload = {
       orderHashes: [order.orderHash],
       takerAmounts: [fillAmount],
-      taker: CONSTANTS.TAKER_ADDRESS,
+      taker: options.taker || CONSTANTS.TAKER_ADDRESS,
       takerSig: signature,
       fillSalt: fillSalt,
       action: 'N/A',
@@ -214,22 +237,10 @@ async function fillOrder(order, wallet, betAmount) {
       returning: 'N/A'
     };
     
-    // Submit to API
-    const response = await fetch(`${CONSTANTS.API_BASE_URL}/orders/fill`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(apiPayload),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || data.status !== 'success') {
-      throw new Error(`API Error: ${JSON.stringify(data)}`);
-    }
-    
-    return data;
+    // Not retried by default: a fill that reached the API before the error would be sent twice
+    const { request } = splitRequestOptions({ retries: 0, ...options });
+    const baseUrl = options.baseUrl || CONSTANTS.API_BASE_URL;
+    return await post('/orders/fill', apiPayload, { ...request, baseUrl });
   } catch (error) {
     console.error('Error filling order:', error);
     throw error;
@@ -241,6 +252,7 @@ export {
   formatOdds,
   calculatePotentialPayout,
   calculateFillAmount,
+  getFillOrderEIP712Payload,
   fillOrder,
   CONSTANTS
 }; 
\ No newline at end of file
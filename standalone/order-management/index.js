@@ -1,10 +1,27 @@
 import { ethers } from 'ethers';
+import {
+  DEFAULT_ODDS_LADDER_STEP,
+  ODDS_ROUNDING,
+  oddsLadderStepFromMetadata,
+  fetchOddsLadderStep,
+  isOnOddsLadder,
+  roundToOddsLadder,
+  toLadderOdds
+} from './odds-ladder.js';
+import { OrderManager } from './order-manager.js';
+import { SIZE_DISTRIBUTIONS, distributeBudget, buildQuoteLadder, formatQuoteLadder } from './quote-ladder.js';
+import { fetchOrders } from '../order-data/index.js';
 
 // Constants
+const API_BASE_URL = process.env.SX_BET_API_URL || 'https://api.sx.bet';
 const CONSTANTS = {
   chainId: 4162,
-  postOrderUrl: 'https://api.sx.bet/orders/new',
-  cancelOrderUrl: 'https://api.sx.bet/orders/cancel/v2?chainVersion=SXR'
+  postOrderUrl: `${API_BASE_URL}/orders/new`,
+  maxOrdersPerRequest: 100,
+  cancelOrderUrl: `${API_BASE_URL}/orders/cancel/v2?chainVersion=SXR`,
+  cancelEventOrdersUrl: `${API_BASE_URL}/orders/cancel/event?chainVersion=SXR`,
+  cancelAllOrdersUrl: `${API_BASE_URL}/orders/cancel/all?chainVersion=SXR`,
+  maxOrdersPerCancel: 100
 };
 
 /**
@@ -15,9 +32,21 @@ const CONSTANTS = {
  * @param {string} params.baseToken The base token address
  * @param {string} params.executor The executor address
  * @param {string} params.stakeSize Stake size in USDC
- * @param {string} params.percentageOdds Odds in percentage format
+ * @param {string} [params.percentageOdds] Maker odds in percentage format (10^20 precision)
+ * @param {string|number} [params.odds] Maker odds in oddsFormat, instead of percentageOdds
+ * @param {string} [params.oddsFormat='percentage'] Format of odds, e.g. 'decimal' or 'american' (see ../odds)
+ * @param {string|bigint} params.oddsLadderStep Odds ladder step with 10^20 precision, from fetchOddsLadderStep
+ * @param {string} [params.rounding] Round off-ladder odds 'down', 'up' or 'nearest' instead of throwing
  * @param {boolean} params.isMakerBettingOutcomeOne Whether maker is betting on outcome one
+ * @param {number} [params.apiExpiry] Unix seconds after which the API stops offering the order (default: in 1 hour)
  * @returns {Object} The order object
+ * @throws {TypeError} When oddsLadderStep is missing
+ * @throws {RangeError} When the odds are out of range, or off the ladder without a rounding mode
+ *
+ * Off-ladder odds throw unless a rounding mode is given, as the API would reject the order.
+ *
+ * Example:
+ * const order = createOrder({ ...params, oddsLadderStep: await fetchOddsLadderStep() });
  */
 function createOrder({
   marketHash,
@@ -26,10 +55,25 @@ function createOrder({
   executor,
   stakeSize,
   percentageOdds,
-  isMakerBettingOutcomeOne
+  odds,
+  oddsFormat = 'percentage',
+  oddsLadderStep,
+  rounding,
+  isMakerBettingOutcomeOne,
+  apiExpiry
 }) {
-  // Current timestamp plus 1 hour for apiExpiry (in seconds)
-  const apiExpiryTime = Math.floor(Date.now() / 1000) + 3600;
+  // The step comes from /metadata, and createOrder cannot fetch it without becoming async
+  if (oddsLadderStep === undefined || oddsLadderStep === null) {
+    throw new TypeError('oddsLadderStep is required. Load it with fetchOddsLadderStep()');
+  }
+
+  // The API rejects odds that are not on the ladder
+  const ladderOdds = odds === undefined
+    ? toLadderOdds(percentageOdds, { step: oddsLadderStep, rounding })
+    : toLadderOdds(odds, { format: oddsFormat, step: oddsLadderStep, rounding });
+
+  // Unless given, current timestamp plus 1 hour for apiExpiry (in seconds)
+  const apiExpiryTime = apiExpiry ?? Math.floor(Date.now() / 1000) + 3600;
   
   // Generate a random salt
   const salt = ethers.hexlify(ethers.randomBytes(32));
@@ -38,7 +82,7 @@ function createOrder({
     marketHash,
     maker,
     totalBetSize: ethers.parseUnits(stakeSize, 6).toString(), // USDC has 6 decimals
-    percentageOdds,
+    percentageOdds: ladderOdds.toString(),
     baseToken,
     apiExpiry: apiExpiryTime,
     expiry: 2209006800, // Deprecated but required
@@ -82,49 +126,228 @@ function createOrderHash(order) {
   );
 }
 
+/**
+ * Builds the JSON request headers, adding the API key when one is given
+ * @param {string} [apiKey] SX Bet API key
+ * @returns {Object} Request headers
+ */
+function buildHeaders(apiKey) {
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+  if (apiKey) {
+    headers['X-Api-Key'] = apiKey;
+  }
+  return headers;
+}
+
+/**
+ * Signs an order with the maker's wallet
+ * @param {Object} order The order object
+ * @param {ethers.Wallet} wallet The wallet to sign the order with
+ * @returns {Promise<Object>} The order with its signature
+ */
+async function signOrder(order, wallet) {
+  const signature = await wallet.signMessage(createOrderHash(order));
+  return { ...order, signature };
+}
+
+/**
+ * Posts signed orders in one request
+ * @param {Object[]} signedOrders Signed orders
+ * @param {Object} options Request options (same as postOrder)
+ * @returns {Promise<Object>} The API response
+ * @throws {Error} When the API returns an error or a non-success status
+ */
+async function submitOrders(signedOrders, options) {
+  const url = options.baseUrl ? `${options.baseUrl}/orders/new` : CONSTANTS.postOrderUrl;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: buildHeaders(options.apiKey),
+    body: JSON.stringify({ orders: signedOrders }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok || data.status !== 'success') {
+    const error = new Error(`API Error: ${JSON.stringify(data)}`);
+    error.status = response.status;
+    error.payload = data;
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Posts an order to the SX Bet API
  * @param {Object} order The order object to post
  * @param {ethers.Wallet} wallet The wallet to sign the order with
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
  * @returns {Promise<Object>} The API response
  */
-async function postOrder(order, wallet) {
+async function postOrder(order, wallet, options = {}) {
   try {
-    const orderHash = createOrderHash(order);
-    const signature = await wallet.signMessage(orderHash);
-    
-    const signedOrder = { ...order, signature };
-    
+    const signedOrder = await signOrder(order, wallet);
+
     // Submit to API - note we wrap the order in an array as per the API requirements
-    const response = await fetch(CONSTANTS.postOrderUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ orders: [signedOrder] }),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || data.status !== 'success') {
-      throw new Error(`API Error: ${JSON.stringify(data)}`);
-    }
-    
-    return data;
+    return await submitOrders([signedOrder], options);
   } catch (error) {
     console.error('Error posting order:', error);
     throw error;
   }
 }
 
+/**
+ * Whether a value converts to a BigInt, e.g. '52500000000000000000' but not '52.5' or 'abc'
+ * @param {*} value The value
+ * @returns {boolean}
+ */
+function isInteger(value) {
+  try {
+    BigInt(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Order hash as hex, or null when the order cannot be hashed (e.g. missing or malformed fields)
+ * @param {Object} order The order object
+ * @returns {string|null}
+ */
+function tryOrderHash(order) {
+  try {
+    return ethers.hexlify(createOrderHash(order));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks an order for mistakes the API would reject it for
+ * @param {Object} order The order object
+ * @param {bigint} step Odds ladder step
+ * @returns {string|null} The reason, or null when the order looks valid
+ */
+function findOrderProblem(order, step) {
+  const missing = ['marketHash', 'maker', 'totalBetSize', 'percentageOdds', 'baseToken', 'apiExpiry', 'executor', 'salt']
+    .filter(field => order[field] === undefined || order[field] === null);
+  if (missing.length > 0) {
+    return `Missing ${missing.join(', ')}`;
+  }
+  const invalid = ['percentageOdds', 'totalBetSize'].filter(field => !isInteger(order[field]));
+  if (invalid.length > 0) {
+    return invalid.map(field => `${field} ${order[field]} is not a whole number`).join('; ');
+  }
+  if (!isOnOddsLadder(order.percentageOdds, step)) {
+    return `percentageOdds ${order.percentageOdds} is not on the odds ladder`;
+  }
+  if (BigInt(order.totalBetSize) <= 0n) {
+    return 'totalBetSize must be positive';
+  }
+  if (Number(order.apiExpiry) <= Math.floor(Date.now() / 1000)) {
+    return 'apiExpiry is in the past';
+  }
+  return null;
+}
+
+/**
+ * Signs and posts many orders, in as few requests as the API allows
+ *
+ * The API accepts or rejects each request as a whole. Orders with obvious problems are
+ * rejected before sending, and when a request is rejected its orders are posted one by
+ * one to find out which of them failed and why.
+ *
+ * @param {Object[]} orders Order objects from createOrder
+ * @param {ethers.Wallet} wallet The wallet to sign the orders with
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @param {number} [options.chunkSize=CONSTANTS.maxOrdersPerRequest] Orders per request
+ * @param {string|bigint} [options.oddsLadderStep] Odds ladder step checked before sending (default: from fetchOddsLadderStep)
+ * @param {boolean} [options.isolateRejections=true] Retry the orders of a rejected request one by one
+ * @returns {Promise<Array<{orderHash: string, accepted: boolean, reason: string|null, order: Object}>>}
+ *   One result per order, in the same order: the order hash, whether the API accepted it,
+ *   why not, and the signed order
+ * @throws {RangeError} When chunkSize is not a positive integer
+ * @throws {RateLimitError|ApiError|NetworkError} When no oddsLadderStep is given and /metadata cannot be loaded
+ *
+ * Example:
+ * const results = await postOrders(orders, wallet);
+ * const rejected = results.filter(result => !result.accepted);
+ * rejected.forEach(result => console.warn(result.orderHash, result.reason));
+ */
+async function postOrders(orders, wallet, options = {}) {
+  const {
+    chunkSize = CONSTANTS.maxOrdersPerRequest,
+    isolateRejections = true,
+    oddsLadderStep: givenStep,
+    ...request
+  } = options;
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new RangeError(`chunkSize must be a positive integer, got ${chunkSize}`);
+  }
+  const oddsLadderStep = givenStep ?? await fetchOddsLadderStep(request);
+
+  const results = orders.map(order => {
+    const reason = findOrderProblem(order, BigInt(oddsLadderStep));
+    return {
+      orderHash: tryOrderHash(order),
+      accepted: false,
+      reason,
+      order
+    };
+  });
+
+  // An order that cannot be signed is rejected on its own rather than failing the batch
+  await Promise.all(results.filter(result => result.reason === null).map(async result => {
+    try {
+      result.order = await signOrder(result.order, wallet);
+    } catch (error) {
+      result.reason = `Could not sign order: ${error.message}`;
+    }
+  }));
+  const pending = results.filter(result => result.reason === null);
+
+  const post = async batch => {
+    try {
+      await submitOrders(batch.map(result => result.order), request);
+      batch.forEach(result => { result.accepted = true; });
+    } catch (error) {
+      // A client error means one of the orders is bad; anything else would fail again. A 429
+      // is about the request rate, and posting the orders one by one would only add requests.
+      const clientError = error.status >= 400 && error.status < 500 && error.status !== 429;
+      if (isolateRejections && batch.length > 1 && clientError) {
+        for (const result of batch) {
+          await post([result]);
+        }
+        return;
+      }
+      const reason = error.payload?.message || error.payload?.errorCode || error.message;
+      batch.forEach(result => { result.reason = reason; });
+    }
+  };
+
+  for (let i = 0; i < pending.length; i += chunkSize) {
+    await post(pending.slice(i, i + chunkSize));
+  }
+
+  return results;
+}
+
 /**
  * Creates the EIP-712 typed data structure for cancelling orders
  * @param {string[]} orderHashes Array of order hashes to cancel
  * @param {string} salt Random salt in hex format
  * @param {number} timestamp Current timestamp in seconds
+ * @param {number} [chainId=CONSTANTS.chainId] Blockchain chain ID
  * @returns {Object} EIP-712 typed data structure
  */
-function getCancelOrderEIP712Payload(orderHashes, salt, timestamp) {
+function getCancelOrderEIP712Payload(orderHashes, salt, timestamp, chainId = CONSTANTS.chainId) {
   return {
     types: {
       EIP712Domain: [
@@ -142,7 +365,7 @@ function getCancelOrderEIP712Payload(orderHashes, salt, timestamp) {
     domain: {
       name: "CancelOrderV2SportX",
       version: "1.0",
-      chainId: CONSTANTS.chainId,
+      chainId,
       salt,
     },
     message: { 
@@ -152,60 +375,268 @@ function getCancelOrderEIP712Payload(orderHashes, salt, timestamp) {
   };
 }
 
+/**
+ * Creates the EIP-712 typed data structure for cancelling all orders of an event
+ * @param {string} sportXeventId The event's ID
+ * @param {string} salt Random salt in hex format
+ * @param {number} timestamp Current timestamp in seconds
+ * @param {number} [chainId=CONSTANTS.chainId] Blockchain chain ID
+ * @returns {Object} EIP-712 typed data structure
+ */
+function getCancelEventOrdersEIP712Payload(sportXeventId, salt, timestamp, chainId = CONSTANTS.chainId) {
+  return {
+    types: {
+      EIP712Domain: [
+        { name: "name", type: "string" },
+        { name: "version", type: "string" },
+        { name: "chainId", type: "uint256" },
+        { name: "salt", type: "bytes32" },
+      ],
+      Details: [
+        { name: "sportXeventId", type: "string" },
+        { name: "timestamp", type: "uint256" },
+      ],
+    },
+    primaryType: "Details",
+    domain: {
+      name: "CancelOrderEventsSportX",
+      version: "1.0",
+      chainId,
+      salt,
+    },
+    message: {
+      sportXeventId,
+      timestamp
+    },
+  };
+}
+
+/**
+ * Creates the EIP-712 typed data structure for cancelling all of a maker's orders
+ * @param {string} salt Random salt in hex format
+ * @param {number} timestamp Current timestamp in seconds
+ * @param {number} [chainId=CONSTANTS.chainId] Blockchain chain ID
+ * @returns {Object} EIP-712 typed data structure
+ */
+function getCancelAllOrdersEIP712Payload(salt, timestamp, chainId = CONSTANTS.chainId) {
+  return {
+    types: {
+      EIP712Domain: [
+        { name: "name", type: "string" },
+        { name: "version", type: "string" },
+        { name: "chainId", type: "uint256" },
+        { name: "salt", type: "bytes32" },
+      ],
+      Details: [
+        { name: "timestamp", type: "uint256" },
+      ],
+    },
+    primaryType: "Details",
+    domain: {
+      name: "CancelAllOrdersSportX",
+      version: "1.0",
+      chainId,
+      salt,
+    },
+    message: {
+      timestamp
+    },
+  };
+}
+
+/**
+ * Signs a cancel payload and posts it to a cancel endpoint
+ * @param {Function} buildPayload Builds the EIP-712 payload from (salt, timestamp)
+ * @param {Object} body Request fields besides the signature, salt, maker and timestamp
+ * @param {string} path Endpoint path, e.g. '/orders/cancel/v2'
+ * @param {string} defaultUrl Endpoint URL when no baseUrl is given
+ * @param {ethers.Wallet} wallet The wallet to sign the cancellation with
+ * @param {Object} options Request options (same as cancelOrders)
+ * @returns {Promise<Object>} The API response
+ */
+async function sendCancel(buildPayload, body, path, defaultUrl, wallet, options) {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const payload = buildPayload(salt, timestamp);
+
+  // Sign the typed data (EIP-712)
+  const signature = await wallet.signTypedData(
+    payload.domain,
+    { Details: payload.types.Details },
+    payload.message
+  );
+
+  // Create the API payload
+  const apiPayload = {
+    ...body,
+    signature,
+    salt,
+    maker: wallet.address,
+    timestamp
+  };
+
+  // Submit to API
+  const url = options.baseUrl ? `${options.baseUrl}${path}?chainVersion=SXR` : defaultUrl;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: buildHeaders(options.apiKey),
+    body: JSON.stringify(apiPayload),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok || data.status !== 'success') {
+    throw new Error(`API Error: ${JSON.stringify(data)}`);
+  }
+
+  return data;
+}
+
 /**
  * Cancels one or more orders
+ *
+ * Lists longer than CONSTANTS.maxOrdersPerCancel are sent in several signed requests. If one
+ * of them fails, the orders of the earlier requests stay cancelled.
+ *
  * @param {string[]} orderHashes Array of order hashes to cancel
  * @param {ethers.Wallet} wallet The wallet to sign the cancellation with
- * @returns {Promise<Object>} The API response
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @param {number} [options.chainId=CONSTANTS.chainId] Chain ID used in the EIP-712 domain
+ * @param {number} [options.chunkSize=CONSTANTS.maxOrdersPerCancel] Order hashes per request
+ * @returns {Promise<Object>} The API response; for several requests, cancelledCount is their total
+ * @throws {RangeError} When chunkSize is not a positive integer
  */
-async function cancelOrders(orderHashes, wallet) {
+async function cancelOrders(orderHashes, wallet, options = {}) {
   try {
-    const salt = ethers.hexlify(ethers.randomBytes(32));
-    const timestamp = Math.floor(Date.now() / 1000);
-    
-    const payload = getCancelOrderEIP712Payload(orderHashes, salt, timestamp);
-    
-    // Sign the typed data (EIP-712)
-    const signature = await wallet.signTypedData(
-      payload.domain,
-      { Details: payload.types.Details },
-      payload.message
-    );
-    
-    // Create the API payload
-    const apiPayload = {
-      orderHashes,
-      signature,
-      salt,
-      maker: wallet.address,
-      timestamp
-    };
-    
-    // Submit to API
-    const response = await fetch(CONSTANTS.cancelOrderUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(apiPayload),
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok || data.status !== 'success') {
-      throw new Error(`API Error: ${JSON.stringify(data)}`);
+    const { chunkSize = CONSTANTS.maxOrdersPerCancel } = options;
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new RangeError(`chunkSize must be a positive integer, got ${chunkSize}`);
     }
-    
-    return data;
+    const responses = [];
+
+    for (let i = 0; i < orderHashes.length || i === 0; i += chunkSize) {
+      const chunk = orderHashes.slice(i, i + chunkSize);
+      responses.push(await sendCancel(
+        (salt, timestamp) => getCancelOrderEIP712Payload(chunk, salt, timestamp, options.chainId),
+        { orderHashes: chunk },
+        '/orders/cancel/v2',
+        CONSTANTS.cancelOrderUrl,
+        wallet,
+        options
+      ));
+    }
+
+    if (responses.length === 1) {
+      return responses[0];
+    }
+    const cancelledCount = responses.reduce((sum, response) => sum + (response.data?.cancelledCount ?? 0), 0);
+    return { status: 'success', data: { cancelledCount } };
   } catch (error) {
     console.error('Error cancelling orders:', error);
     throw error;
   }
 }
 
+/**
+ * Cancels all of the wallet's orders on one market
+ *
+ * There is no market-wide cancel endpoint, so the maker's active orders on the market are
+ * fetched first and cancelled by hash, in chunks (see cancelOrders).
+ *
+ * @param {string} marketHash The market hash
+ * @param {ethers.Wallet} wallet The wallet whose orders to cancel
+ * @param {Object} [options={}] Request options (same as cancelOrders)
+ * @returns {Promise<Object>} The API response, with the cancelled orderHashes added to data
+ */
+async function cancelMarketOrders(marketHash, wallet, options = {}) {
+  const { baseUrl, apiKey } = options;
+  const orders = await fetchOrders(marketHash, { baseUrl, apiKey, maker: wallet.address });
+  const orderHashes = orders.map(order => order.orderHash);
+
+  if (orderHashes.length === 0) {
+    return { status: 'success', data: { cancelledCount: 0, orderHashes } };
+  }
+
+  const response = await cancelOrders(orderHashes, wallet, options);
+  return { ...response, data: { ...response.data, orderHashes } };
+}
+
+/**
+ * Cancels all of the wallet's orders on the markets of one event
+ * @param {string} eventId The event's ID (sportXEventId)
+ * @param {ethers.Wallet} wallet The wallet whose orders to cancel
+ * @param {Object} [options={}] Request options (same as cancelOrders)
+ * @returns {Promise<Object>} The API response
+ */
+async function cancelEventOrders(eventId, wallet, options = {}) {
+  try {
+    return await sendCancel(
+      (salt, timestamp) => getCancelEventOrdersEIP712Payload(eventId, salt, timestamp, options.chainId),
+      { sportXeventId: eventId },
+      '/orders/cancel/event',
+      CONSTANTS.cancelEventOrdersUrl,
+      wallet,
+      options
+    );
+  } catch (error) {
+    console.error('Error cancelling event orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancels all of the wallet's orders, on every market, in one request
+ * @param {ethers.Wallet} wallet The wallet whose orders to cancel
+ * @param {Object} [options={}] Request options (same as cancelOrders)
+ * @returns {Promise<Object>} The API response
+ *
+ * Example:
+ * // Pull every quote
+ * await cancelAllOrders(wallet);
+ */
+async function cancelAllOrders(wallet, options = {}) {
+  try {
+    return await sendCancel(
+      (salt, timestamp) => getCancelAllOrdersEIP712Payload(salt, timestamp, options.chainId),
+      {},
+      '/orders/cancel/all',
+      CONSTANTS.cancelAllOrdersUrl,
+      wallet,
+      options
+    );
+  } catch (error) {
+    console.error('Error cancelling all orders:', error);
+    throw error;
+  }
+}
+
 export {
   createOrder,
+  createOrderHash,
+  signOrder,
   postOrder,
+  postOrders,
+  getCancelOrderEIP712Payload,
+  getCancelEventOrdersEIP712Payload,
+  getCancelAllOrdersEIP712Payload,
   cancelOrders,
+  cancelMarketOrders,
+  cancelEventOrders,
+  cancelAllOrders,
+  DEFAULT_ODDS_LADDER_STEP,
+  ODDS_ROUNDING,
+  oddsLadderStepFromMetadata,
+  fetchOddsLadderStep,
+  isOnOddsLadder,
+  roundToOddsLadder,
+  toLadderOdds,
+  OrderManager,
+  SIZE_DISTRIBUTIONS,
+  distributeBudget,
+  buildQuoteLadder,
+  formatQuoteLadder,
   CONSTANTS
 }; 
\ No newline at end of file
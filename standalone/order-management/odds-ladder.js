@@ -0,0 +1,141 @@
+// Odds ladder validation and rounding for maker orders
+import { get } from '../utils/index.js';
+import { ODDS_PRECISION, toPercentageOdds } from '../odds/index.js';
+
+// The API reports the ladder step in hundredths of a percent (25 = 0.25%)
+const STEP_UNIT = 10n ** 16n;
+
+/**
+ * Ladder step used when none is given: 0.25% with 10^20 precision
+ * @type {bigint}
+ */
+export const DEFAULT_ODDS_LADDER_STEP = 25n * STEP_UNIT;
+
+export const ODDS_ROUNDING = ['down', 'up', 'nearest'];
+
+// Step per base URL, so repeated orders do not refetch /metadata
+const stepCache = new Map();
+
+/**
+ * Converts the /metadata oddsLadderStepSize into a step with 10^20 precision
+ * @param {Object} metadata Response of the /metadata endpoint
+ * @returns {bigint} Step, or DEFAULT_ODDS_LADDER_STEP when the metadata has none
+ */
+export function oddsLadderStepFromMetadata(metadata) {
+  const size = metadata?.oddsLadderStepSize;
+  return size === undefined || size === null ? DEFAULT_ODDS_LADDER_STEP : BigInt(size) * STEP_UNIT;
+}
+
+/**
+ * Fetches the odds ladder step from the API's /metadata endpoint. The result is cached per base URL.
+ * @param {Object} [options={}] Request options
+ * @param {string} [options.baseUrl] API base URL (defaults to mainnet)
+ * @param {string} [options.apiKey] SX Bet API key
+ * @param {boolean} [options.refresh=false] Ignore the cached step
+ * @returns {Promise<bigint>} Step with 10^20 precision, e.g. 250000000000000000n for 0.25%
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ */
+export async function fetchOddsLadderStep(options = {}) {
+  const { refresh = false, ...request } = options;
+  const key = request.baseUrl || '';
+
+  if (refresh || !stepCache.has(key)) {
+    const pending = get('/metadata', {}, request).then(oddsLadderStepFromMetadata);
+    stepCache.set(key, pending);
+    // Failed requests are not cached
+    pending.catch(() => stepCache.delete(key));
+  }
+  return stepCache.get(key);
+}
+
+function checkStep(step) {
+  const value = BigInt(step);
+  if (value <= 0n || value >= ODDS_PRECISION) {
+    throw new RangeError(`Odds ladder step must be between 0 and 10^20, got ${step}`);
+  }
+  return value;
+}
+
+/**
+ * Checks whether percentage odds are on the odds ladder
+ * @param {string|number|bigint} percentageOdds Odds with 10^20 precision
+ * @param {string|number|bigint} [step=DEFAULT_ODDS_LADDER_STEP] Ladder step with 10^20 precision
+ * @returns {boolean}
+ */
+export function isOnOddsLadder(percentageOdds, step = DEFAULT_ODDS_LADDER_STEP) {
+  const odds = BigInt(percentageOdds);
+  return odds > 0n && odds < ODDS_PRECISION && odds % checkStep(step) === 0n;
+}
+
+/**
+ * Rounds percentage odds onto the odds ladder
+ *
+ * The odds are the maker's implied probability, so rounding down gives the maker better odds
+ * and takers worse ones; 'down' is the maker-favourable default. Rounding up does the
+ * opposite. The result stays strictly between 0 and 100%.
+ *
+ * @param {string|number|bigint} percentageOdds Odds with 10^20 precision
+ * @param {Object} [options={}] Rounding options
+ * @param {string|number|bigint} [options.step=DEFAULT_ODDS_LADDER_STEP] Ladder step with 10^20 precision
+ * @param {string} [options.rounding='down'] 'down', 'up' or 'nearest' (halfway rounds up)
+ * @returns {bigint} Odds on the ladder
+ * @throws {TypeError} When the rounding mode is unknown
+ * @throws {RangeError} When the odds or step are out of range
+ *
+ * Example:
+ * roundToOddsLadder('52630000000000000000');                       // 52500000000000000000n
+ * roundToOddsLadder('52630000000000000000', { rounding: 'up' });   // 52750000000000000000n
+ */
+export function roundToOddsLadder(percentageOdds, options = {}) {
+  const { rounding = 'down' } = options;
+  if (!ODDS_ROUNDING.includes(rounding)) {
+    throw new TypeError(`Unknown odds rounding: ${rounding}. Use one of ${ODDS_ROUNDING.join(', ')}`);
+  }
+
+  const step = checkStep(options.step ?? DEFAULT_ODDS_LADDER_STEP);
+  const odds = toPercentageOdds(percentageOdds);
+  const below = odds / step * step;
+  const remainder = odds - below;
+
+  let rounded = below;
+  if (remainder > 0n && (rounding === 'up' || (rounding === 'nearest' && remainder * 2n >= step))) {
+    rounded = below + step;
+  }
+
+  // Keep the result a valid probability
+  const highest = (ODDS_PRECISION - 1n) / step * step;
+  if (rounded < step) rounded = step;
+  if (rounded > highest) rounded = highest;
+  return rounded;
+}
+
+/**
+ * Converts odds in any format into ladder-valid percentage odds
+ * @param {string|number|bigint} value The odds
+ * @param {Object} [options={}] Conversion options
+ * @param {string} [options.format='percentage'] Format of the value (see ODDS_FORMATS in ../odds)
+ * @param {string|number|bigint} [options.step=DEFAULT_ODDS_LADDER_STEP] Ladder step with 10^20 precision
+ * @param {string} [options.rounding] 'down', 'up' or 'nearest'; without it, odds off the ladder throw
+ * @returns {bigint} Percentage odds on the ladder
+ * @throws {RangeError} When the odds are out of range, or off the ladder and no rounding was given
+ * @throws {TypeError} When the format or rounding mode is unknown
+ *
+ * Example:
+ * toLadderOdds('1.90', { format: 'decimal', rounding: 'nearest' }); // 52750000000000000000n
+ * toLadderOdds(-110, { format: 'american', rounding: 'down' });     // 52250000000000000000n
+ * toLadderOdds('52.5', { format: 'percent' });                      // 52500000000000000000n
+ */
+export function toLadderOdds(value, options = {}) {
+  const { format = 'percentage', step = DEFAULT_ODDS_LADDER_STEP, rounding } = options;
+  const odds = toPercentageOdds(value, format);
+
+  if (rounding !== undefined) {
+    return roundToOddsLadder(odds, { step, rounding });
+  }
+  if (!isOnOddsLadder(odds, step)) {
+    const below = roundToOddsLadder(odds, { step, rounding: 'down' });
+    const above = roundToOddsLadder(odds, { step, rounding: 'up' });
+    throw new RangeError(`Odds ${value} (${odds}) are not on the odds ladder; nearest valid odds are ${below} and ${above}. Pass a rounding mode to round them`);
+  }
+  return odds;
+}
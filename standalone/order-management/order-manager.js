@@ -0,0 +1,402 @@
+// Lifecycle tracking for posted maker orders
+import { EventEmitter } from 'events';
+import { fetchOrders } from '../order-data/index.js';
+import { toNominalAmount } from '../utils/index.js';
+import { createOrder, postOrders, cancelOrders } from './index.js';
+import { fetchOddsLadderStep } from './odds-ladder.js';
+
+const DEFAULTS = {
+  orderLifetime: 3600,
+  renewBefore: 60,
+  renewCheckInterval: 5000,
+  reconcileInterval: 60000
+};
+
+/**
+ * Tracks the maker orders it posts, keeps their fill progress up to date and optionally
+ * re-posts them before their apiExpiry
+ *
+ * State comes from three places: the postOrders results, websocket order book updates for
+ * the markets the orders are on, and periodic reconciles against the maker's orders from fetchOrders. Subscribe
+ * the websocket client to the markets separately.
+ *
+ * Renewing cancels the order first and then posts the same quote for the remaining size
+ * with a new apiExpiry, so the quote is briefly off the book but never posted twice.
+ *
+ * @extends EventEmitter
+ *
+ * Events:
+ * - `posted` (order): An order was accepted by the API
+ * - `rejected` (result): An order was rejected; the postOrders result with the reason
+ * - `fill` (order, amount): An order was (partly) filled; amount is the newly filled maker stake
+ * - `closed` (order): An order left the book; order.status says why
+ * - `renewed` (order, previous): An order was re-posted as a new order
+ * - `error` (error): When a reconcile or renewal fails; the manager keeps running
+ */
+export class OrderManager extends EventEmitter {
+  /**
+   * Creates a new order manager
+   * @param {Object} config Configuration options
+   * @param {ethers.Wallet} config.wallet Wallet that signs, posts and cancels the orders
+   * @param {EventEmitter} [config.client] Websocket client (see ../websocket) whose orderBookUpdate events update the orders
+   * @param {string} [config.baseToken] Base token address for new orders
+   * @param {string} [config.executor] Executor address for new orders
+   * @param {string|bigint} [config.oddsLadderStep] Odds ladder step for new orders (default: loaded with fetchOddsLadderStep on the first post)
+   * @param {boolean} [config.autoRenew=false] Re-post orders before their apiExpiry; can be set per order when posting
+   * @param {number} [config.orderLifetime=3600] Seconds until the apiExpiry of new and renewed orders
+   * @param {number} [config.renewBefore=60] Seconds before apiExpiry at which orders are renewed
+   * @param {number} [config.renewCheckInterval=5000] Milliseconds between checks for orders to renew
+   * @param {number} [config.reconcileInterval=60000] Milliseconds between reconciles; 0 to disable
+   * @param {number} [config.chainId] Chain ID for cancellations (see cancelOrders)
+   * @param {string} [config.baseUrl] API base URL (defaults to mainnet)
+   * @param {string} [config.apiKey] SX Bet API key
+   */
+  constructor(config) {
+    super();
+
+    if (!config || !config.wallet) {
+      throw new Error('wallet is required');
+    }
+
+    this.wallet = config.wallet;
+    this.client = config.client || null;
+    this.orderDefaults = {
+      maker: config.wallet.address,
+      baseToken: config.baseToken,
+      executor: config.executor,
+      oddsLadderStep: config.oddsLadderStep
+    };
+    this.autoRenew = config.autoRenew ?? false;
+    this.orderLifetime = config.orderLifetime ?? DEFAULTS.orderLifetime;
+    this.renewBefore = config.renewBefore ?? DEFAULTS.renewBefore;
+    this.renewCheckInterval = config.renewCheckInterval ?? DEFAULTS.renewCheckInterval;
+    this.reconcileInterval = config.reconcileInterval ?? DEFAULTS.reconcileInterval;
+    this.chainId = config.chainId;
+    this.requestOptions = { baseUrl: config.baseUrl, apiKey: config.apiKey };
+
+    this.orders = new Map();
+    this.timers = [];
+    this.running = false;
+    this.renewing = false;
+    this.onUpdate = (marketHash, order) => this.applyUpdate(order);
+  }
+
+  /**
+   * Starts listening to websocket updates, reconciling and renewing on their intervals
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    if (this.client) {
+      this.client.on('orderBookUpdate', this.onUpdate);
+    }
+    if (this.reconcileInterval > 0) {
+      this.timers.push(setInterval(() => this.reconcile(), this.reconcileInterval));
+    }
+    this.timers.push(setInterval(() => this.renewDue(), this.renewCheckInterval));
+  }
+
+  /**
+   * Stops listening and renewing. Open orders stay on the book; see cancelAll.
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    if (this.client) {
+      this.client.off('orderBookUpdate', this.onUpdate);
+    }
+  }
+
+  /**
+   * Creates, signs and posts orders, and tracks the accepted ones
+   * @param {Object|Object[]} params createOrder parameters for one or more orders. maker, baseToken,
+   *   executor, oddsLadderStep and apiExpiry default from the manager. Set autoRenew to override
+   *   the manager's setting for an order.
+   * @returns {Promise<Array<Object>>} postOrders results, with the tracked order as `tracked` when accepted
+   * @throws {RangeError} When an order's odds are invalid (see createOrder); nothing is posted then
+   *
+   * Example:
+   * const [result] = await manager.post({
+   *   marketHash: '0x123...',
+   *   stakeSize: '100',
+   *   odds: '1.90',
+   *   oddsFormat: 'decimal',
+   *   rounding: 'down',
+   *   isMakerBettingOutcomeOne: true
+   * });
+   */
+  async post(params) {
+    // Loaded once from /metadata unless the config gave one
+    this.orderDefaults.oddsLadderStep ??= await fetchOddsLadderStep(this.requestOptions);
+
+    const list = (Array.isArray(params) ? params : [params]).map(({ autoRenew, ...orderParams }) => ({
+      autoRenew: autoRenew ?? this.autoRenew,
+      params: { ...this.orderDefaults, ...orderParams }
+    }));
+
+    const expiry = Math.floor(Date.now() / 1000) + this.orderLifetime;
+    const orders = list.map(({ params: orderParams }) => createOrder({
+      ...orderParams,
+      apiExpiry: orderParams.apiExpiry ?? expiry
+    }));
+    const results = await postOrders(orders, this.wallet, {
+      ...this.requestOptions,
+      oddsLadderStep: this.orderDefaults.oddsLadderStep
+    });
+
+    return results.map((result, index) => {
+      if (!result.accepted) {
+        this.emit('rejected', result);
+        return result;
+      }
+
+      const entry = {
+        orderHash: result.orderHash,
+        marketHash: result.order.marketHash,
+        isMakerBettingOutcomeOne: result.order.isMakerBettingOutcomeOne,
+        percentageOdds: BigInt(result.order.percentageOdds),
+        totalBetSize: BigInt(result.order.totalBetSize),
+        fillAmount: 0n,
+        apiExpiry: Number(result.order.apiExpiry),
+        status: 'open',
+        postedAt: new Date(),
+        renewedFrom: null,
+        renewedTo: null,
+        autoRenew: list[index].autoRenew,
+        params: list[index].params
+      };
+      this.orders.set(entry.orderHash, entry);
+
+      const tracked = describe(entry);
+      this.emit('posted', tracked);
+      return { ...result, tracked };
+    });
+  }
+
+  /**
+   * Cancels tracked orders
+   * @param {string[]} orderHashes Hashes of the orders to cancel
+   * @returns {Promise<Object>} The API response
+   * @throws {Error} When the cancellation fails (see cancelOrders)
+   */
+  async cancel(orderHashes) {
+    if (orderHashes.length === 0) return null;
+
+    const response = await cancelOrders(orderHashes, this.wallet, {
+      ...this.requestOptions,
+      chainId: this.chainId
+    });
+    for (const orderHash of orderHashes) {
+      const entry = this.orders.get(orderHash);
+      if (entry && entry.status === 'open') this.close(entry, 'cancelled');
+    }
+    return response;
+  }
+
+  /**
+   * Cancels every open order, optionally only on one market
+   * @param {string} [marketHash] Only cancel orders on this market
+   * @returns {Promise<Object|null>} The API response, or null when there was nothing to cancel
+   */
+  async cancelAll(marketHash) {
+    return this.cancel(this.getOpenOrders(marketHash).map(order => order.orderHash));
+  }
+
+  /**
+   * Returns a tracked order
+   * @param {string} orderHash The order's hash
+   * @returns {Object|null} The order (see getOpenOrders), or null when it is not tracked
+   */
+  getOrder(orderHash) {
+    const entry = this.orders.get(orderHash);
+    return entry ? describe(entry) : null;
+  }
+
+  /**
+   * Returns the orders that are still on the book
+   * @param {string} [marketHash] Only orders on this market
+   * @returns {Array<Object>} Orders with orderHash, marketHash, isMakerBettingOutcomeOne, percentageOdds,
+   *   totalBetSize, fillAmount, remaining (bigint, maker stake), fillProgress (0 to 1), apiExpiry,
+   *   status, postedAt, renewedFrom and renewedTo
+   */
+  getOpenOrders(marketHash) {
+    return this.getOrders().filter(order =>
+      order.status === 'open' && (marketHash === undefined || order.marketHash === marketHash)
+    );
+  }
+
+  /**
+   * Returns every tracked order, closed ones included
+   * @returns {Array<Object>} Orders (see getOpenOrders); status is 'open', 'filled', 'cancelled',
+   *   'expired', 'renewed' or 'closed' (left the book for an unknown reason)
+   */
+  getOrders() {
+    return Array.from(this.orders.values()).map(describe);
+  }
+
+  /**
+   * Compares the open orders with the maker's active orders from the API
+   * @returns {Promise<Array<Object>>} The open orders afterwards
+   */
+  async reconcile() {
+    try {
+      const started = new Date();
+      const active = await fetchOrders(undefined, {
+        ...this.requestOptions,
+        maker: this.wallet.address,
+        chainVersion: 'SXR',
+        asModels: true
+      });
+      const byHash = new Map(active.map(order => [order.orderHash, order]));
+
+      for (const entry of this.orders.values()) {
+        if (entry.status !== 'open') continue;
+
+        const order = byHash.get(entry.orderHash);
+        if (order) {
+          this.updateFill(entry, order.fillAmount);
+        } else if (entry.postedAt < started) {
+          // Orders posted while the request was in flight may not be in its response yet
+          this.close(entry, entry.apiExpiry <= Date.now() / 1000 ? 'expired' : 'closed');
+        }
+      }
+    } catch (error) {
+      // A failed request says nothing about the orders, so they stay open until the next reconcile
+      this.reportError('Error reconciling orders:', error);
+    }
+    return this.getOpenOrders();
+  }
+
+  /**
+   * Applies a websocket order update to the tracked order, if any
+   * @private
+   */
+  applyUpdate(order) {
+    const entry = this.orders.get(order.orderHash);
+    if (!entry || entry.status !== 'open') return;
+
+    this.updateFill(entry, BigInt(order.fillAmount));
+    if (entry.status === 'open' && order.status === 'INACTIVE') {
+      this.close(entry, 'closed');
+    }
+  }
+
+  /**
+   * Records a new fill amount and closes fully filled orders
+   * @private
+   */
+  updateFill(entry, fillAmount) {
+    if (fillAmount > entry.fillAmount) {
+      const amount = fillAmount - entry.fillAmount;
+      entry.fillAmount = fillAmount;
+      this.emit('fill', describe(entry), amount);
+    }
+    if (entry.fillAmount >= entry.totalBetSize) {
+      this.close(entry, 'filled');
+    }
+  }
+
+  /**
+   * @private
+   */
+  close(entry, status) {
+    entry.status = status;
+    this.emit('closed', describe(entry));
+  }
+
+  /**
+   * Renews the open orders whose apiExpiry is within renewBefore
+   * @private
+   */
+  async renewDue() {
+    if (this.renewing) return;
+    this.renewing = true;
+
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const due = Array.from(this.orders.values()).filter(entry =>
+        entry.status === 'open' && entry.autoRenew && entry.apiExpiry - now <= this.renewBefore
+      );
+      for (const entry of due) {
+        if (!this.running) break;
+        await this.renew(entry);
+      }
+    } finally {
+      this.renewing = false;
+    }
+  }
+
+  /**
+   * Cancels an order and posts it again for its remaining size
+   * @param {Object} entry The tracked order
+   * @private
+   */
+  async renew(entry) {
+    const remaining = entry.totalBetSize - entry.fillAmount;
+    if (remaining <= 0n) return;
+
+    try {
+      await cancelOrders([entry.orderHash], this.wallet, { ...this.requestOptions, chainId: this.chainId });
+    } catch (error) {
+      // The order is still on the book; the next check tries again
+      this.reportError(`Error cancelling order ${entry.orderHash} for renewal:`, error);
+      return;
+    }
+    this.close(entry, 'renewed');
+
+    try {
+      // A fresh apiExpiry, not the one the order was first posted with
+      const { apiExpiry, ...params } = entry.params;
+      const [result] = await this.post({ ...params, stakeSize: toNominalAmount(remaining), autoRenew: entry.autoRenew });
+      if (!result.accepted) {
+        throw new Error(`Order ${entry.orderHash} was cancelled but its renewal was rejected: ${result.reason}`);
+      }
+
+      const renewed = this.orders.get(result.orderHash);
+      renewed.renewedFrom = entry.orderHash;
+      entry.renewedTo = renewed.orderHash;
+      this.emit('renewed', describe(renewed), describe(entry));
+    } catch (error) {
+      this.reportError(`Error renewing order ${entry.orderHash}:`, error);
+    }
+  }
+
+  /**
+   * Emits an error, or logs it when nobody listens
+   * @private
+   */
+  reportError(message, error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(message, error.message);
+    }
+  }
+}
+
+/**
+ * Public view of a tracked order
+ * @param {Object} entry The tracked order
+ * @returns {Object}
+ */
+function describe(entry) {
+  const remaining = entry.totalBetSize > entry.fillAmount ? entry.totalBetSize - entry.fillAmount : 0n;
+  return {
+    orderHash: entry.orderHash,
+    marketHash: entry.marketHash,
+    isMakerBettingOutcomeOne: entry.isMakerBettingOutcomeOne,
+    percentageOdds: entry.percentageOdds,
+    totalBetSize: entry.totalBetSize,
+    fillAmount: entry.fillAmount,
+    remaining,
+    fillProgress: Number(entry.fillAmount * 10000n / entry.totalBetSize) / 10000,
+    apiExpiry: entry.apiExpiry,
+    status: entry.status,
+    postedAt: entry.postedAt,
+    renewedFrom: entry.renewedFrom,
+    renewedTo: entry.renewedTo
+  };
+}
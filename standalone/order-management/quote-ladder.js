@@ -0,0 +1,215 @@
+// Multi-level maker quotes around a target price
+import { ODDS_PRECISION, fromPercentageOdds } from '../odds/index.js';
+import { toBaseAmount, toNominalAmount } from '../utils/index.js';
+import { toLadderOdds } from './odds-ladder.js';
+import { createOrder } from './index.js';
+
+export const SIZE_DISTRIBUTIONS = ['flat', 'linear', 'geometric'];
+
+// Fixed-point scale for geometric weights
+const WEIGHT_SCALE = 1000000;
+
+/**
+ * Relative size of each level, best level first
+ * @param {number} levels Number of levels
+ * @param {string} distribution 'flat', 'linear' or 'geometric'
+ * @param {number} decay Geometric ratio between consecutive levels
+ * @returns {bigint[]} Weights
+ */
+function levelWeights(levels, distribution, decay) {
+  return Array.from({ length: levels }, (_, i) => {
+    switch (distribution) {
+      case 'flat':
+        return 1n;
+      case 'linear':
+        return BigInt(levels - i);
+      case 'geometric':
+        return BigInt(Math.max(1, Math.round(decay ** i * WEIGHT_SCALE)));
+    }
+  });
+}
+
+/**
+ * Splits a budget into per-level stakes
+ *
+ * Stakes are rounded down to whole base units and the rounding remainder goes to the best
+ * level, so the stakes always add up to the budget.
+ *
+ * @param {string|number|bigint} budget Total stake in base units
+ * @param {number} levels Number of levels
+ * @param {Object} [options={}] Distribution options
+ * @param {string} [options.distribution='flat'] 'flat', 'linear' (levels, levels - 1, ..., 1) or 'geometric'
+ * @param {number} [options.decay=0.5] Geometric ratio between consecutive levels, between 0 and 1
+ * @returns {bigint[]} Stakes in base units, best level first
+ * @throws {RangeError} When levels, budget or decay are out of range
+ * @throws {TypeError} When the distribution is unknown
+ *
+ * Example:
+ * distributeBudget(100000000n, 4, { distribution: 'linear' }); // [40000000n, 30000000n, 20000000n, 10000000n]
+ */
+export function distributeBudget(budget, levels, options = {}) {
+  const { distribution = 'flat', decay = 0.5 } = options;
+  const total = BigInt(budget);
+
+  if (!Number.isInteger(levels) || levels <= 0) {
+    throw new RangeError(`levels must be a positive integer, got ${levels}`);
+  }
+  if (total <= 0n) {
+    throw new RangeError(`budget must be positive, got ${budget}`);
+  }
+  if (!SIZE_DISTRIBUTIONS.includes(distribution)) {
+    throw new TypeError(`Unknown size distribution: ${distribution}. Use one of ${SIZE_DISTRIBUTIONS.join(', ')}`);
+  }
+  if (distribution === 'geometric' && !(decay > 0 && decay < 1)) {
+    throw new RangeError(`decay must be between 0 and 1, got ${decay}`);
+  }
+
+  const weights = levelWeights(levels, distribution, decay);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0n);
+  const stakes = weights.map(weight => total * weight / weightSum);
+  stakes[0] += total - stakes.reduce((sum, stake) => sum + stake, 0n);
+  return stakes;
+}
+
+/**
+ * Builds a ladder of maker orders stepping away from a target price
+ *
+ * The first level quotes the target odds (rounded onto the odds ladder). Each further level
+ * lowers the maker's odds by `spacing`, which offers takers worse odds for the same outcome,
+ * so the ladder gets cheaper for the maker the deeper a taker fills it.
+ *
+ * @param {Object} params Ladder parameters
+ * @param {string} params.marketHash The market hash
+ * @param {boolean} params.isMakerBettingOutcomeOne Side: whether the maker bets on outcome one
+ * @param {string|number|bigint} params.targetOdds Maker odds of the first level, in oddsFormat
+ * @param {string} [params.oddsFormat='percentage'] Format of targetOdds (see ../odds)
+ * @param {string} params.budget Total stake across all levels in USDC, e.g. '500'
+ * @param {number} params.levels Number of levels
+ * @param {string|bigint} [params.spacing] Odds between levels with 10^20 precision; a multiple of the ladder step (default: one step)
+ * @param {string} [params.distribution='flat'] How the budget is split: 'flat', 'linear' or 'geometric'
+ * @param {number} [params.decay=0.5] Ratio between consecutive levels for 'geometric'
+ * @param {string|bigint} params.oddsLadderStep Odds ladder step with 10^20 precision, from fetchOddsLadderStep
+ * @param {string} [params.rounding='down'] How targetOdds are rounded onto the ladder: 'down', 'up' or 'nearest'
+ * @param {string} params.maker The maker's address
+ * @param {string} params.baseToken The base token address
+ * @param {string} params.executor The executor address
+ * @param {number} [params.apiExpiry] apiExpiry of every order (see createOrder)
+ * @returns {{orders: Object[], levels: Array<Object>, totalStake: bigint, totalTakerSpace: bigint}}
+ *   Orders ready for postOrder or postOrders, and per level: { level, percentageOdds, takerOdds,
+ *   stake (maker risk), takerSpace (what takers can bet, i.e. the maker's win if fully filled),
+ *   cumulativeStake, cumulativeTakerSpace }
+ * @throws {TypeError} When oddsLadderStep is missing
+ * @throws {RangeError} When the spacing is off the ladder or the ladder runs out of valid odds
+ *
+ * Example:
+ * const ladder = buildQuoteLadder({
+ *   marketHash: '0x123...',
+ *   isMakerBettingOutcomeOne: true,
+ *   targetOdds: '1.95',
+ *   oddsFormat: 'decimal',
+ *   budget: '500',
+ *   levels: 5,
+ *   distribution: 'geometric',
+ *   oddsLadderStep: await fetchOddsLadderStep(),
+ *   maker: wallet.address,
+ *   baseToken,
+ *   executor
+ * });
+ * console.log(formatQuoteLadder(ladder));
+ * await postOrders(ladder.orders, wallet);
+ */
+export function buildQuoteLadder(params) {
+  const {
+    targetOdds,
+    oddsFormat = 'percentage',
+    budget,
+    levels,
+    spacing: ladderSpacing,
+    distribution,
+    decay,
+    oddsLadderStep,
+    rounding = 'down',
+    ...orderParams
+  } = params;
+  if (oddsLadderStep === undefined || oddsLadderStep === null) {
+    throw new TypeError('oddsLadderStep is required. Load it with fetchOddsLadderStep()');
+  }
+  const step = BigInt(oddsLadderStep);
+  const spacing = BigInt(ladderSpacing ?? step);
+  const stakes = distributeBudget(toBaseAmount(budget), levels, { distribution, decay });
+
+  if (spacing <= 0n || spacing % step !== 0n) {
+    throw new RangeError(`spacing must be a positive multiple of the odds ladder step ${step}, got ${spacing}`);
+  }
+
+  const top = toLadderOdds(targetOdds, { format: oddsFormat, step, rounding });
+  const deepest = top - spacing * BigInt(levels - 1);
+  if (deepest <= 0n) {
+    throw new RangeError(`${levels} levels ${spacing} apart from ${top} go below 0; use fewer levels or a smaller spacing`);
+  }
+
+  let cumulativeStake = 0n;
+  let cumulativeTakerSpace = 0n;
+  const ladderLevels = stakes.map((stake, index) => {
+    const percentageOdds = top - spacing * BigInt(index);
+    const takerSpace = stake * ODDS_PRECISION / percentageOdds - stake;
+    cumulativeStake += stake;
+    cumulativeTakerSpace += takerSpace;
+    return {
+      level: index + 1,
+      percentageOdds,
+      takerOdds: ODDS_PRECISION - percentageOdds,
+      stake,
+      takerSpace,
+      cumulativeStake,
+      cumulativeTakerSpace
+    };
+  });
+
+  const orders = ladderLevels
+    .filter(level => level.stake > 0n)
+    .map(level => createOrder({
+      ...orderParams,
+      stakeSize: toNominalAmount(level.stake),
+      percentageOdds: level.percentageOdds.toString(),
+      oddsLadderStep: step
+    }));
+
+  return { orders, levels: ladderLevels, totalStake: cumulativeStake, totalTakerSpace: cumulativeTakerSpace };
+}
+
+/**
+ * Formats a ladder's levels as a text table for previewing before posting
+ * @param {Object} ladder Result of buildQuoteLadder
+ * @param {Object} [options={}] Formatting options
+ * @param {string} [options.format='decimal'] Odds format of the taker odds column (see ../odds)
+ * @returns {string} The table
+ *
+ * Example output, for the buildQuoteLadder example:
+ * Level  Maker odds  Taker odds  Stake (USDC)  Taker space  Total stake  Total taker space
+ *     1      51.25%        2.05        258.06       245.48       258.06             245.48
+ *     2      51.00%        2.04        129.03       123.97       387.10             369.45
+ *     3      50.75%        2.03         64.52        62.61       451.61             432.06
+ *     4      50.50%        2.02         32.26        31.62       483.87             463.68
+ *     5      50.25%        2.01         16.13        15.97       500.00             479.65
+ */
+export function formatQuoteLadder(ladder, options = {}) {
+  const { format = 'decimal' } = options;
+  const amount = value => toNominalAmount(value, { displayDecimals: 2 });
+
+  const header = ['Level', 'Maker odds', 'Taker odds', 'Stake (USDC)', 'Taker space', 'Total stake', 'Total taker space'];
+  const rows = ladder.levels.map(level => [
+    String(level.level),
+    fromPercentageOdds(level.percentageOdds, 'percent'),
+    fromPercentageOdds(level.takerOdds, format),
+    amount(level.stake),
+    amount(level.takerSpace),
+    amount(level.cumulativeStake),
+    amount(level.cumulativeTakerSpace)
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => cell.padStart(widths[column])).join('  '))
+    .join('\n');
+}
@@ -0,0 +1,404 @@
+// Records order book updates, snapshots and trades to NDJSON files and replays them
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { EventEmitter } from 'events';
+import { fetchOrders, OrderBook } from '../order-data/index.js';
+import { fetchTrades } from '../trade-data/index.js';
+
+const RECORD_TYPES = ['update', 'snapshot', 'trade'];
+
+const DEFAULTS = {
+  snapshotInterval: 60000,
+  tradesInterval: 30000,
+  maxFileSize: 50 * 1024 * 1024
+};
+
+/**
+ * Name of the day's file for a part number, e.g. 2024-03-20.000.ndjson
+ * @param {Date} date Day of the records
+ * @param {number} part Part number, increased when a file reaches maxFileSize
+ * @returns {string} File name
+ */
+function fileName(date, part) {
+  return `${date.toISOString().slice(0, 10)}.${String(part).padStart(3, '0')}.ndjson`;
+}
+
+/**
+ * Identifies a trade across polls. Makers and takers of the same fill share a fillHash.
+ * @param {Object} trade Trade from fetchTrades
+ * @returns {string} Key
+ */
+function tradeKey(trade) {
+  return `${trade.fillHash}|${trade.orderHash}|${trade.maker}`;
+}
+
+/**
+ * Writes order book updates, REST snapshots and trades to rotating NDJSON files, one
+ * directory per market: `<dir>/<marketHash>/<YYYY-MM-DD>.<part>.ndjson`. A new file is
+ * started every UTC day, whenever the current one reaches maxFileSize, and on restart.
+ *
+ * Each line is `{ "time": <ms>, "type": "update"|"snapshot"|"trade", "marketHash": "0x...", "data": ... }`:
+ * `update` holds one websocket order update, `snapshot` the array from fetchOrders and
+ * `trade` one trade from fetchTrades.
+ *
+ * @extends EventEmitter
+ *
+ * Events:
+ * - `record` (record): After each record is written
+ * - `error` (error): When a snapshot or trade poll fails; recording continues
+ */
+export class MarketRecorder extends EventEmitter {
+  /**
+   * Creates a new recorder
+   * @param {Object} config Configuration options
+   * @param {string} config.dir Directory to write to
+   * @param {string[]} config.markets Market hashes to record
+   * @param {SXWebsocketClient} [config.client] Websocket client whose orderBookUpdate events are recorded
+   * @param {number} [config.snapshotInterval=60000] Milliseconds between REST snapshots; 0 to disable
+   * @param {number} [config.tradesInterval=30000] Milliseconds between trade polls; 0 to disable
+   * @param {number} [config.maxFileSize=52428800] Bytes after which a new file is started (50 MB)
+   * @param {string} [config.baseUrl] API base URL for snapshots and trades (defaults to mainnet)
+   * @param {string} [config.apiKey] SX Bet API key
+   */
+  constructor(config) {
+    super();
+
+    if (!config || !config.dir || !Array.isArray(config.markets)) {
+      throw new Error('dir and markets are required');
+    }
+
+    this.dir = config.dir;
+    this.markets = new Set(config.markets);
+    this.client = config.client || null;
+    this.snapshotInterval = config.snapshotInterval ?? DEFAULTS.snapshotInterval;
+    this.tradesInterval = config.tradesInterval ?? DEFAULTS.tradesInterval;
+    this.maxFileSize = config.maxFileSize ?? DEFAULTS.maxFileSize;
+    this.requestOptions = { baseUrl: config.baseUrl, apiKey: config.apiKey };
+
+    this.files = new Map();
+    this.seenTrades = new Map();
+    this.timers = [];
+    this.running = false;
+    this.onUpdate = (marketHash, order) => {
+      if (this.markets.has(marketHash)) this.write('update', marketHash, order);
+    };
+  }
+
+  /**
+   * Starts recording. Snapshots and trades are fetched immediately, then on their intervals.
+   * Subscribe the websocket client to the markets separately.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    if (this.client) {
+      this.client.on('orderBookUpdate', this.onUpdate);
+    }
+
+    if (this.snapshotInterval > 0) {
+      await this.recordSnapshots();
+      this.timers.push(setInterval(() => this.recordSnapshots(), this.snapshotInterval));
+    }
+    if (this.tradesInterval > 0) {
+      await this.recordTrades();
+      this.timers.push(setInterval(() => this.recordTrades(), this.tradesInterval));
+    }
+  }
+
+  /**
+   * Stops recording and closes the files
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    if (this.client) {
+      this.client.off('orderBookUpdate', this.onUpdate);
+    }
+
+    const closing = Array.from(this.files.values()).map(file => new Promise(resolve => file.stream.end(resolve)));
+    this.files.clear();
+    await Promise.all(closing);
+  }
+
+  /**
+   * Fetches and records a REST snapshot of every market
+   * @private
+   */
+  async recordSnapshots() {
+    for (const marketHash of this.markets) {
+      try {
+        const orders = await fetchOrders(marketHash, this.requestOptions);
+        if (this.running) this.write('snapshot', marketHash, orders);
+      } catch (error) {
+        this.reportError(`Error recording snapshot for market ${marketHash}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Fetches the latest trades of every market and records the ones not seen before
+   * @private
+   */
+  async recordTrades() {
+    for (const marketHash of this.markets) {
+      try {
+        const trades = await fetchTrades(marketHash, this.requestOptions);
+        const seen = this.seenTrades.get(marketHash) || new Set();
+
+        // Oldest first, so the file stays in time order
+        const fresh = trades
+          .filter(trade => !seen.has(tradeKey(trade)))
+          .sort((a, b) => a.betTime - b.betTime);
+        if (this.running) {
+          fresh.forEach(trade => this.write('trade', marketHash, trade));
+        }
+
+        // Trades that fall out of the latest page never come back, so only the page is kept
+        this.seenTrades.set(marketHash, new Set(trades.map(tradeKey)));
+      } catch (error) {
+        this.reportError(`Error recording trades for market ${marketHash}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Appends a record to the market's current file
+   * @private
+   * @param {string} type Record type
+   * @param {string} marketHash Market hash
+   * @param {*} data Record data
+   */
+  write(type, marketHash, data) {
+    const record = { time: Date.now(), type, marketHash, data };
+    const line = `${JSON.stringify(record)}\n`;
+
+    const file = this.fileFor(marketHash, new Date(record.time), Buffer.byteLength(line));
+    file.stream.write(line);
+    file.size += Buffer.byteLength(line);
+
+    this.emit('record', record);
+  }
+
+  /**
+   * Returns the open file for a market, starting a new one on a new day or when full
+   * @private
+   * @param {string} marketHash Market hash
+   * @param {Date} date Time of the record
+   * @param {number} bytes Size of the record
+   * @returns {{stream: fs.WriteStream, day: string, part: number, size: number}}
+   */
+  fileFor(marketHash, date, bytes) {
+    const day = date.toISOString().slice(0, 10);
+    let file = this.files.get(marketHash);
+
+    if (file && file.day === day && file.size + bytes <= this.maxFileSize) {
+      return file;
+    }
+
+    // A restart starts a new part rather than appending after a possibly partial line
+    const part = file && file.day === day ? file.part + 1 : this.nextPart(marketHash, day);
+    if (file) file.stream.end();
+
+    const filePath = path.join(this.dir, marketHash, fileName(date, part));
+    file = { stream: fs.createWriteStream(filePath, { flags: 'a' }), day, part, size: 0 };
+    file.stream.on('error', error => this.reportError(`Error writing ${filePath}:`, error));
+    this.files.set(marketHash, file);
+    return file;
+  }
+
+  /**
+   * First unused part number of a market's files for a day, creating the market's directory
+   * @private
+   * @param {string} marketHash Market hash
+   * @param {string} day Day as YYYY-MM-DD
+   * @returns {number} Part number
+   */
+  nextPart(marketHash, day) {
+    const marketDir = path.join(this.dir, marketHash);
+    fs.mkdirSync(marketDir, { recursive: true });
+
+    const parts = fs.readdirSync(marketDir)
+      .filter(name => name.startsWith(`${day}.`))
+      .map(name => Number(name.split('.')[1]));
+    return parts.length > 0 ? Math.max(...parts) + 1 : 0;
+  }
+
+  /**
+   * Emits an error, or logs it when nothing listens
+   * @private
+   */
+  reportError(message, error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(message, error.message);
+    }
+  }
+}
+
+/**
+ * Reads the records of one market in time order, across its files
+ * @param {string} marketDir Directory of the market
+ * @returns {AsyncGenerator<Object>} Records
+ */
+async function* readMarket(marketDir) {
+  const files = fs.readdirSync(marketDir).filter(name => name.endsWith('.ndjson')).sort();
+
+  for (const name of files) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(marketDir, name)),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // A crash can leave a partial last line
+        console.error(`Skipping invalid line in ${name}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Replays files written by MarketRecorder through the same events as SXWebsocketClient
+ *
+ * Markets are merged in time order. Books are rebuilt from the recorded snapshots and
+ * updates. They keep orders past their apiExpiry, since apiExpiry is checked against the
+ * current clock, not the recording's; INACTIVE updates and snapshots still remove them.
+ *
+ * @extends EventEmitter
+ *
+ * Events:
+ * - `orderBookUpdate` (marketHash, order): Same as SXWebsocketClient
+ * - `bookChanged` (marketHash, diff, book): Same as SXWebsocketClient
+ * - `snapshot` (marketHash, orders, book): A recorded REST snapshot; the book is replaced by it
+ * - `trade` (marketHash, trade): A recorded trade
+ * - `end` (count): When every record has been replayed, with the number of records
+ */
+export class MarketReplayer extends EventEmitter {
+  /**
+   * Creates a new replayer
+   * @param {Object} config Configuration options
+   * @param {string} config.dir Directory written by MarketRecorder
+   * @param {string[]} [config.markets] Market hashes to replay (default: every market in dir)
+   * @param {number} [config.speed=1] Playback speed: 1 is real time, 10 is ten times faster, Infinity as fast as possible
+   * @param {Date|number} [config.from] Skip records before this time
+   * @param {Date|number} [config.to] Stop at records after this time
+   * @param {string[]} [config.types] Record types to replay: 'update', 'snapshot', 'trade' (default: all)
+   */
+  constructor(config) {
+    super();
+
+    if (!config || !config.dir) {
+      throw new Error('dir is required');
+    }
+
+    this.dir = config.dir;
+    this.markets = config.markets || fs.readdirSync(config.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+    this.speed = config.speed ?? 1;
+    this.from = config.from === undefined ? -Infinity : new Date(config.from).getTime();
+    this.to = config.to === undefined ? Infinity : new Date(config.to).getTime();
+    this.types = new Set(config.types || RECORD_TYPES);
+    this.orderBooks = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Replays the records
+   * @returns {Promise<number>} Number of records replayed (fewer if stopped early)
+   */
+  async start() {
+    this.running = true;
+
+    // Merge the markets by always taking the earliest next record
+    const sources = this.markets.map(marketHash => readMarket(path.join(this.dir, marketHash)));
+    const heads = await Promise.all(sources.map(source => source.next()));
+
+    let count = 0;
+    let previousTime = null;
+
+    while (this.running) {
+      let index = -1;
+      heads.forEach((head, i) => {
+        if (!head.done && (index === -1 || head.value.time < heads[index].value.time)) index = i;
+      });
+      if (index === -1) break;
+
+      const record = heads[index].value;
+      heads[index] = await sources[index].next();
+
+      if (record.time < this.from || !this.types.has(record.type)) continue;
+      if (record.time > this.to) break;
+
+      if (previousTime !== null && Number.isFinite(this.speed)) {
+        const delay = (record.time - previousTime) / this.speed;
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      previousTime = record.time;
+
+      if (!this.running) break;
+      this.replay(record);
+      count += 1;
+    }
+
+    await Promise.all(sources.map(source => source.return()));
+    this.running = false;
+    this.emit('end', count);
+    return count;
+  }
+
+  /**
+   * Stops the replay after the current record
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Emits a record's events and applies it to the market's book
+   * @private
+   * @param {Object} record Record from a file
+   */
+  replay(record) {
+    const { marketHash, data } = record;
+
+    if (record.type === 'snapshot') {
+      const book = new OrderBook(data, { includeExpired: true });
+      this.orderBooks.set(marketHash, book);
+      this.emit('snapshot', marketHash, data, book);
+    } else if (record.type === 'trade') {
+      this.emit('trade', marketHash, data);
+    } else if (record.type === 'update') {
+      this.emit('orderBookUpdate', marketHash, data);
+
+      if (!this.orderBooks.has(marketHash)) {
+        this.orderBooks.set(marketHash, new OrderBook([], { includeExpired: true }));
+      }
+      const book = this.orderBooks.get(marketHash);
+      const diff = book.applyUpdates([data], marketHash);
+      if (diff.added.length || diff.updated.length || diff.removed.length) {
+        this.emit('bookChanged', marketHash, diff, book);
+      }
+    }
+  }
+
+  /**
+   * Gets the replayed order book for a market
+   * @param {string} marketHash The market hash
+   * @returns {OrderBook|null} The order book, or null if no records for the market were replayed yet
+   */
+  getOrderBook(marketHash) {
+    return this.orderBooks.get(marketHash) || null;
+  }
+}
@@ -0,0 +1,230 @@
+// Candles, VWAP and volume profiles from trades
+import { Trade } from '../models/index.js';
+import { ODDS_PRECISION } from '../odds/index.js';
+import { DEFAULT_ODDS_LADDER_STEP } from '../order-management/odds-ladder.js';
+
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parses a bucket size
+ * @param {number|string} interval Seconds, or a number with a unit: '30s', '5m', '1h', '1d'
+ * @returns {number} Seconds
+ * @throws {RangeError} When the interval is not a positive number of seconds
+ */
+function parseInterval(interval) {
+  const match = typeof interval === 'string' ? interval.match(/^(\d+)([smhd])$/) : null;
+  const seconds = match ? Number(match[1]) * INTERVAL_UNITS[match[2]] : Number(interval);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new RangeError(`interval must be a positive number of seconds or e.g. '5m', got ${interval}`);
+  }
+  return seconds;
+}
+
+/**
+ * Taker trades as Trade models, oldest first. Maker trades are dropped: each one is the
+ * other side of a taker trade that is already counted.
+ * @param {Array<Object|Trade>} trades Raw trades or Trade models
+ * @returns {Trade[]}
+ */
+function takerTrades(trades) {
+  return trades
+    .map(trade => (trade instanceof Trade ? trade : new Trade(trade)))
+    .filter(trade => !trade.maker)
+    .sort((a, b) => a.betTime - b.betTime);
+}
+
+/**
+ * Running totals for a group of trades
+ * @returns {{volume: bigint, payout: bigint, tradeCount: number}}
+ */
+function emptyTotals() {
+  return { volume: 0n, payout: 0n, tradeCount: 0 };
+}
+
+function addTrade(totals, trade) {
+  totals.volume += trade.stake;
+  totals.payout += trade.stake * ODDS_PRECISION / trade.odds;
+  totals.tradeCount += 1;
+}
+
+/**
+ * Effective odds of a group of trades: volume * 10^20 / payout, as in walkBook
+ * @returns {bigint|null}
+ */
+function totalsVwap(totals) {
+  return totals.payout > 0n ? totals.volume * ODDS_PRECISION / totals.payout : null;
+}
+
+/**
+ * Volume-weighted average taker odds: total stake over total payout, so a stake split
+ * across trades has the same VWAP as one trade at the average payout
+ * @param {Array<Object|Trade>} trades Raw trades or Trade models
+ * @param {number} [outcome] Only trades backing this outcome (1 or 2); required for a meaningful price
+ * @returns {bigint|null} Implied probability with 10^20 precision, or null without trades
+ */
+export function calculateVwap(trades, outcome) {
+  const totals = emptyTotals();
+  for (const trade of takerTrades(trades)) {
+    if (outcome === undefined || trade.takerOutcome === outcome) addTrade(totals, trade);
+  }
+  return totalsVwap(totals);
+}
+
+/**
+ * Volume, trade count and VWAP for each outcome
+ * @param {Array<Object|Trade>} trades Raw trades or Trade models
+ * @returns {{1: Object, 2: Object}} Per outcome: { volume, tradeCount, vwap }
+ */
+export function volumeByOutcome(trades) {
+  const byOutcome = { 1: emptyTotals(), 2: emptyTotals() };
+  for (const trade of takerTrades(trades)) {
+    addTrade(byOutcome[trade.takerOutcome], trade);
+  }
+
+  return Object.fromEntries([1, 2].map(outcome => {
+    const { volume, tradeCount } = byOutcome[outcome];
+    return [outcome, { volume, tradeCount, vwap: totalsVwap(byOutcome[outcome]) }];
+  }));
+}
+
+/**
+ * Time-bucketed OHLC candles of taker odds for each outcome
+ *
+ * Odds are the implied probability the taker paid, with 10^20 precision, so a rising
+ * candle means the outcome got more expensive. Buckets without trades are left out.
+ *
+ * @param {Array<Object|Trade>} trades Trades of one market, raw or Trade models
+ * @param {Object} [options={}] Candle options
+ * @param {number|string} [options.interval='1h'] Bucket size in seconds, or e.g. '5m', '1h', '1d'
+ * @returns {{1: Array<Object>, 2: Array<Object>}} Candles per outcome, oldest first:
+ *   { start, end (unix seconds), open, high, low, close, vwap (bigint), volume (bigint), tradeCount }
+ *
+ * Example:
+ * const candles = buildCandles(await fetchAllTrades('0x123...'), { interval: '15m' });
+ * candles[1].forEach(c => console.log(new Date(c.start * 1000), fromPercentageOdds(c.close)));
+ */
+export function buildCandles(trades, options = {}) {
+  const interval = parseInterval(options.interval ?? '1h');
+  const candles = { 1: new Map(), 2: new Map() };
+
+  for (const trade of takerTrades(trades)) {
+    const start = Math.floor(trade.betTime / interval) * interval;
+    const buckets = candles[trade.takerOutcome];
+    let candle = buckets.get(start);
+
+    if (!candle) {
+      candle = {
+        start,
+        end: start + interval,
+        open: trade.odds,
+        high: trade.odds,
+        low: trade.odds,
+        close: trade.odds,
+        totals: emptyTotals()
+      };
+      buckets.set(start, candle);
+    }
+
+    if (trade.odds > candle.high) candle.high = trade.odds;
+    if (trade.odds < candle.low) candle.low = trade.odds;
+    candle.close = trade.odds;
+    addTrade(candle.totals, trade);
+  }
+
+  return Object.fromEntries([1, 2].map(outcome => [
+    outcome,
+    Array.from(candles[outcome].values()).map(({ totals, ...candle }) => ({
+      ...candle,
+      vwap: totalsVwap(totals),
+      volume: totals.volume,
+      tradeCount: totals.tradeCount
+    }))
+  ]));
+}
+
+/**
+ * Volume traded at each odds level, per outcome
+ * @param {Array<Object|Trade>} trades Trades of one market, raw or Trade models
+ * @param {Object} [options={}] Profile options
+ * @param {string|number|bigint} [options.step=DEFAULT_ODDS_LADDER_STEP] Bucket width in 10^20 precision (default: one ladder step)
+ * @returns {{1: Array<Object>, 2: Array<Object>}} Levels per outcome, lowest odds first:
+ *   { takerOdds (bucket floor), volume, tradeCount, share (of the outcome's volume, 10^20 precision) }
+ */
+export function volumeProfile(trades, options = {}) {
+  const step = BigInt(options.step ?? DEFAULT_ODDS_LADDER_STEP);
+  if (step <= 0n) {
+    throw new RangeError(`step must be positive, got ${step}`);
+  }
+
+  const levels = { 1: new Map(), 2: new Map() };
+  const volumes = { 1: 0n, 2: 0n };
+
+  for (const trade of takerTrades(trades)) {
+    const key = trade.odds / step * step;
+    const level = levels[trade.takerOutcome].get(key) || { takerOdds: key, volume: 0n, tradeCount: 0 };
+    level.volume += trade.stake;
+    level.tradeCount += 1;
+    levels[trade.takerOutcome].set(key, level);
+    volumes[trade.takerOutcome] += trade.stake;
+  }
+
+  return Object.fromEntries([1, 2].map(outcome => [
+    outcome,
+    Array.from(levels[outcome].values())
+      .sort((a, b) => (a.takerOdds < b.takerOdds ? -1 : a.takerOdds > b.takerOdds ? 1 : 0))
+      .map(level => ({ ...level, share: level.volume * ODDS_PRECISION / volumes[outcome] }))
+  ]));
+}
+
+/**
+ * Candles, volume by outcome and volume profile for the trades of one market
+ * @param {Array<Object|Trade>} trades Trades of one market, raw or Trade models
+ * @param {Object} [options={}] Options for buildCandles (interval) and volumeProfile (step)
+ * @returns {Object} { tradeCount, volume, firstTrade, lastTrade (unix seconds or null), byOutcome, candles, profile }
+ */
+export function analyzeTrades(trades, options = {}) {
+  const taken = takerTrades(trades);
+  const byOutcome = volumeByOutcome(taken);
+
+  return {
+    tradeCount: taken.length,
+    volume: byOutcome[1].volume + byOutcome[2].volume,
+    firstTrade: taken.length > 0 ? taken[0].betTime : null,
+    lastTrade: taken.length > 0 ? taken[taken.length - 1].betTime : null,
+    byOutcome,
+    candles: buildCandles(taken, { interval: options.interval }),
+    profile: volumeProfile(taken, { step: options.step })
+  };
+}
+
+/**
+ * Analyzes the trades of several markets, e.g. every market of an event
+ *
+ * Odds are only comparable within a market, so candles and profiles are per market;
+ * the totals add up volume and trade counts across them.
+ *
+ * @param {Array<Object|Trade>} trades Trades of any number of markets, raw or Trade models
+ * @param {Object} [options={}] Options for analyzeTrades
+ * @returns {Object} { tradeCount, volume, firstTrade, lastTrade, markets } where markets maps
+ *   each market hash to its analyzeTrades result, busiest market first
+ */
+export function analyzeMarkets(trades, options = {}) {
+  const byMarket = new Map();
+  for (const trade of takerTrades(trades)) {
+    if (!byMarket.has(trade.marketHash)) byMarket.set(trade.marketHash, []);
+    byMarket.get(trade.marketHash).push(trade);
+  }
+
+  const markets = Array.from(byMarket.entries())
+    .map(([marketHash, marketTrades]) => [marketHash, analyzeTrades(marketTrades, options)])
+    .sort(([, a], [, b]) => (b.volume > a.volume ? 1 : b.volume < a.volume ? -1 : 0));
+
+  const analyses = markets.map(([, analysis]) => analysis).filter(analysis => analysis.tradeCount > 0);
+  return {
+    tradeCount: analyses.reduce((sum, analysis) => sum + analysis.tradeCount, 0),
+    volume: analyses.reduce((sum, analysis) => sum + analysis.volume, 0n),
+    firstTrade: analyses.length > 0 ? Math.min(...analyses.map(analysis => analysis.firstTrade)) : null,
+    lastTrade: analyses.length > 0 ? Math.max(...analyses.map(analysis => analysis.lastTrade)) : null,
+    markets: Object.fromEntries(markets)
+  };
+}
@@ -1,7 +1,17 @@
 // Trade data service for SX Bet API
-import axios from 'axios';
+import { get, splitRequestOptions } from '../utils/index.js';
+import { Trade } from '../models/index.js';
+import { fetchMarkets } from '../market-data/index.js';
+import {
+  buildCandles,
+  calculateVwap,
+  volumeByOutcome,
+  volumeProfile,
+  analyzeTrades,
+  analyzeMarkets
+} from './analytics.js';
 
-const API_BASE_URL = 'https://api.sx.bet';
+export { buildCandles, calculateVwap, volumeByOutcome, volumeProfile, analyzeTrades, analyzeMarkets };
 
 /**
  * Fetch successful trades for a market
@@ -11,7 +21,11 @@ const API_BASE_URL = 'https://api.sx.bet';
  * @param {string} options.chainVersion - Chain version (default: 'SXR')
  * @param {string} options.tradeStatus - Trade status (default: 'SUCCESS')
  * @param {number} options.pageSize - Number of trades to return (default: 100)
- * @returns {Promise<Array>} Array of trade objects
+ * @param {string} options.baseUrl - API base URL (defaults to mainnet)
+ * @param {string} options.apiKey - SX Bet API key
+ * @param {boolean} options.asModels - Return Trade models instead of raw objects
+ * @returns {Promise<Array>} Array of trade objects (or Trade models)
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const trades = await fetchTrades('0x123...');
@@ -30,22 +44,8 @@ const API_BASE_URL = 'https://api.sx.bet';
  * // ]
  */
 export async function fetchTrades(marketHash, options = {}) {
-  try {
-    const params = {
-      marketHashes: marketHash,
-      maker: false,
-      chainVersion: 'SXR',
-      tradeStatus: 'SUCCESS',
-      pageSize: 100,
-      ...options
-    };
-
-    const response = await axios.get(`${API_BASE_URL}/trades`, { params });
-    return response.data.data?.trades || [];
-  } catch (error) {
-    console.error('Error fetching trades:', error.message);
-    return [];
-  }
+  const { trades } = await fetchTradesPage(marketHash, options);
+  return trades;
 }
 
 /**
@@ -53,6 +53,7 @@ export async function fetchTrades(marketHash, options = {}) {
  * @param {string[]} marketHashes - Array of market hashes
  * @param {Object} options - Optional parameters (same as fetchTrades)
  * @returns {Promise<Object>} Object mapping market hashes to their trades
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
  * 
  * Example:
  * const trades = await fetchTradesMulti(['0x123...', '0x456...']);
@@ -63,28 +64,154 @@ export async function fetchTrades(marketHash, options = {}) {
  * // }
  */
 export async function fetchTradesMulti(marketHashes, options = {}) {
-  try {
-    const params = {
-      marketHashes: marketHashes.join(','),
-      maker: false,
-      chainVersion: 'SXR',
-      tradeStatus: 'SUCCESS',
-      pageSize: 100,
-      ...options
-    };
-
-    const response = await axios.get(`${API_BASE_URL}/trades`, { params });
-    const trades = response.data.data?.trades || [];
-
-    // Group trades by market hash
-    return trades.reduce((acc, trade) => {
-      const hash = trade.marketHash;
-      if (!acc[hash]) acc[hash] = [];
-      acc[hash].push(trade);
-      return acc;
-    }, {});
-  } catch (error) {
-    console.error('Error fetching multiple trades:', error.message);
-    return {};
+  const { trades } = await fetchTradesPage(marketHashes, options);
+
+  // Group trades by market hash
+  return trades.reduce((acc, trade) => {
+    const hash = trade.marketHash;
+    if (!acc[hash]) acc[hash] = [];
+    acc[hash].push(trade);
+    return acc;
+  }, {});
+}
+
+/**
+ * Converts a Date or unix timestamp in seconds into unix seconds
+ * @param {Date|number|string} value Date or unix timestamp in seconds
+ * @returns {number} Unix timestamp in seconds
+ */
+function toUnixSeconds(value) {
+  if (value instanceof Date) return Math.floor(value.getTime() / 1000);
+  return Number(value);
+}
+
+/**
+ * Fetch a single page of trades, including the key for the next page
+ * @param {string|string[]} marketHash - Market hash or array of market hashes
+ * @param {Object} options - Optional parameters (same as fetchTrades)
+ * @param {string} options.paginationKey - Key returned by the previous page
+ * @param {Date|number} options.startDate - Only trades after this time (Date or unix seconds)
+ * @param {Date|number} options.endDate - Only trades before this time (Date or unix seconds)
+ * @param {string} options.bettor - Only trades by this bettor address
+ * @returns {Promise<{trades: Array, nextKey: string|null}>} Trades and the next page key (null on the last page)
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after retries
+ *
+ * Example:
+ * const { trades, nextKey } = await fetchTradesPage('0x123...');
+ * const nextPage = await fetchTradesPage('0x123...', { paginationKey: nextKey });
+ */
+export async function fetchTradesPage(marketHash, options = {}) {
+  const { asModels = false, ...rest } = options;
+  const { query, request } = splitRequestOptions(rest);
+  const params = {
+    marketHashes: Array.isArray(marketHash) ? marketHash.join(',') : marketHash,
+    maker: false,
+    chainVersion: 'SXR',
+    tradeStatus: 'SUCCESS',
+    pageSize: 100,
+    ...query
+  };
+
+  if (params.startDate !== undefined) params.startDate = toUnixSeconds(params.startDate);
+  if (params.endDate !== undefined) params.endDate = toUnixSeconds(params.endDate);
+  if (!params.paginationKey) delete params.paginationKey;
+
+  const result = await get('/trades', params, request);
+  const trades = result?.trades || [];
+  return {
+    trades: asModels ? trades.map(trade => new Trade(trade)) : trades,
+    nextKey: result?.nextKey || null
+  };
+}
+
+/**
+ * Iterate over every trade for a market, fetching pages as needed
+ * @param {string|string[]} marketHash - Market hash or array of market hashes
+ * @param {Object} options - Optional parameters (same as fetchTradesPage, without paginationKey)
+ * @yields {Object} Trade objects, in the order returned by the API
+ * @throws {RateLimitError|ApiError|NetworkError} When a page request fails after retries
+ *
+ * Example:
+ * for await (const trade of iterateTrades('0x123...', { startDate: new Date('2024-03-01') })) {
+ *   console.log(trade.tradeHash, trade.stake);
+ * }
+ */
+export async function* iterateTrades(marketHash, options = {}) {
+  let paginationKey = null;
+
+  do {
+    const page = await fetchTradesPage(marketHash, { ...options, paginationKey });
+    yield* page.trades;
+    paginationKey = page.nextKey;
+  } while (paginationKey);
+}
+
+/**
+ * Fetch every trade for a market across all pages
+ * @param {string|string[]} marketHash - Market hash or array of market hashes
+ * @param {Object} options - Optional parameters (same as iterateTrades)
+ * @param {number} options.maxItems - Stop after this many trades (default: 10000)
+ * @returns {Promise<Array>} Array of trade objects
+ * @throws {RateLimitError|ApiError|NetworkError} When a page request fails after retries
+ *
+ * Example:
+ * const trades = await fetchAllTrades('0x123...', { maxItems: 5000 });
+ */
+export async function fetchAllTrades(marketHash, options = {}) {
+  const { maxItems = 10000, ...iterateOptions } = options;
+  const trades = [];
+  if (maxItems <= 0) return trades;
+
+  for await (const trade of iterateTrades(marketHash, iterateOptions)) {
+    trades.push(trade);
+    if (trades.length >= maxItems) break;
+  }
+
+  return trades;
+}
+
+/**
+ * Fetch a market's trades and analyze them
+ * @param {string} marketHash - The market's hash
+ * @param {Object} options - Optional parameters (same as fetchAllTrades)
+ * @param {number|string} options.interval - Candle size (see buildCandles, default: '1h')
+ * @param {string|number|bigint} options.step - Volume profile bucket width (see volumeProfile)
+ * @returns {Promise<Object>} Analysis from analyzeTrades
+ * @throws {RateLimitError|ApiError|NetworkError} When a page request fails after retries
+ *
+ * Example:
+ * const { candles, byOutcome } = await fetchTradeAnalytics('0x123...', { interval: '5m' });
+ */
+export async function fetchTradeAnalytics(marketHash, options = {}) {
+  const { interval, step, ...fetchOptions } = options;
+  const trades = await fetchAllTrades(marketHash, fetchOptions);
+  return analyzeTrades(trades, { interval, step });
+}
+
+/**
+ * Fetch the trades of every market of an event, alternate lines included, and analyze them
+ * @param {string} eventId - The event's ID (sportXEventId)
+ * @param {Object} options - Optional parameters (same as fetchTradeAnalytics)
+ * @returns {Promise<Object>} Analysis from analyzeMarkets, with each market's details added as `market`
+ * @throws {RateLimitError|ApiError|NetworkError} When a request fails after retries
+ *
+ * Example:
+ * const event = await fetchEventTradeAnalytics('L2hN5aXd');
+ * for (const [marketHash, analysis] of Object.entries(event.markets)) {
+ *   console.log(analysis.market.outcomeOneName, analysis.volume, analysis.tradeCount);
+ * }
+ */
+export async function fetchEventTradeAnalytics(eventId, options = {}) {
+  const { interval, step, ...fetchOptions } = options;
+  const { baseUrl, apiKey } = fetchOptions;
+
+  const markets = await fetchMarkets(eventId, { baseUrl, apiKey, onlyMainLine: false });
+  if (markets.length === 0) return analyzeMarkets([]);
+
+  const trades = await fetchAllTrades(markets.map(market => market.marketHash), fetchOptions);
+  const analysis = analyzeMarkets(trades, { interval, step });
+  for (const market of markets) {
+    if (analysis.markets[market.marketHash]) analysis.markets[market.marketHash].market = market;
   }
-} 
\ No newline at end of file
+  return analysis;
+}
@@ -1,26 +1,114 @@
 import axios from 'axios';
+import BigNumber from 'bignumber.js';
+import { ODDS_PRECISION, fromPercentageOdds } from '../odds/index.js';
 
-// Constants
-const API_BASE_URL = 'https://api.sx.bet';
+// Constants (set SX_BET_API_URL to point at another server, e.g. the mock server)
+const API_BASE_URL = process.env.SX_BET_API_URL || 'https://api.sx.bet';
 
 /**
- * Calculates the taker odds from percentage odds
- * @param {string|number} percentageOdds The odds in percentage format (10^20 precision)
+ * Calculates the taker's decimal odds from the maker's percentage odds
+ * @param {string|number|bigint} percentageOdds The odds in percentage format (10^20 precision)
  * @returns {string} Formatted odds string
  */
 function calculateTakerOdds(percentageOdds) {
-  const impliedOdds = 1 - percentageOdds / 1e20;
-  return impliedOdds > 0 ? (1 / impliedOdds).toFixed(2) : "N/A";
+  try {
+    return fromPercentageOdds(percentageOdds, 'decimal', { taker: true });
+  } catch {
+    return "N/A";
+  }
+}
+
+// Rounding modes for amount conversion (bignumber.js rounding constants)
+const ROUNDING_MODES = {
+  UP: BigNumber.ROUND_UP,
+  DOWN: BigNumber.ROUND_DOWN,
+  CEIL: BigNumber.ROUND_CEIL,
+  FLOOR: BigNumber.ROUND_FLOOR,
+  HALF_UP: BigNumber.ROUND_HALF_UP,
+  HALF_DOWN: BigNumber.ROUND_HALF_DOWN,
+  HALF_EVEN: BigNumber.ROUND_HALF_EVEN
+};
+
+/**
+ * Parses an amount into a BigNumber
+ * @param {string|number|bigint|BigNumber} amount The amount
+ * @returns {BigNumber}
+ * @throws {TypeError} When the amount is not a finite number
+ */
+function toBigNumber(amount) {
+  const value = new BigNumber(typeof amount === 'bigint' ? amount.toString() : amount);
+  if (!value.isFinite()) {
+    throw new TypeError(`Invalid amount: ${JSON.stringify(String(amount))}`);
+  }
+  return value;
+}
+
+/**
+ * Looks up a rounding mode by name
+ * @param {string} rounding Rounding mode name (see ROUNDING_MODES)
+ * @returns {number} bignumber.js rounding constant
+ * @throws {TypeError} When the rounding mode is unknown
+ */
+function getRoundingMode(rounding) {
+  if (!Object.hasOwn(ROUNDING_MODES, rounding)) {
+    throw new TypeError(`Unknown rounding mode: ${rounding}. Use one of ${Object.keys(ROUNDING_MODES).join(', ')}`);
+  }
+  return ROUNDING_MODES[rounding];
+}
+
+/**
+ * Converts an amount in base units into a nominal amount string, without floating point
+ * @param {string|number|bigint} amount The amount in base units
+ * @param {Object} [options={}] Formatting options
+ * @param {number} [options.decimals=6] Token decimals
+ * @param {number} [options.displayDecimals] Decimal places to show; all significant decimals when omitted (exact)
+ * @param {string} [options.rounding='HALF_UP'] Rounding mode when displayDecimals cuts digits (see ROUNDING_MODES)
+ * @param {boolean} [options.commas=false] Add thousands separators
+ * @returns {string} Nominal amount
+ *
+ * Example:
+ * toNominalAmount('1234567891'); // '1234.567891'
+ * toNominalAmount('1234567891', { displayDecimals: 2, commas: true }); // '1,234.57'
+ */
+function toNominalAmount(amount, options = {}) {
+  const { decimals = 6, displayDecimals, rounding = 'HALF_UP', commas = false } = options;
+  const nominal = toBigNumber(amount).shiftedBy(-decimals);
+  const mode = getRoundingMode(rounding);
+
+  if (commas) {
+    return displayDecimals === undefined ? nominal.toFormat() : nominal.toFormat(displayDecimals, mode);
+  }
+  return displayDecimals === undefined ? nominal.toFixed() : nominal.toFixed(displayDecimals, mode);
+}
+
+/**
+ * Converts a nominal amount into base units, without floating point
+ * @param {string|number} nominal The nominal amount (e.g. '12.5' USDC)
+ * @param {Object} [options={}] Conversion options
+ * @param {number} [options.decimals=6] Token decimals
+ * @param {string} [options.rounding='DOWN'] Rounding mode for digits beyond the token's decimals (see ROUNDING_MODES)
+ * @returns {bigint} Amount in base units
+ *
+ * Example:
+ * toBaseAmount('12.5'); // 12500000n
+ * toBaseAmount('0.0000015', { rounding: 'HALF_UP' }); // 2n
+ */
+function toBaseAmount(nominal, options = {}) {
+  const { decimals = 6, rounding = 'DOWN' } = options;
+  const text = typeof nominal === 'string' ? nominal.replace(/,/g, '') : nominal;
+  const base = toBigNumber(text).shiftedBy(decimals).integerValue(getRoundingMode(rounding));
+  return BigInt(base.toFixed());
 }
 
 /**
  * Converts an amount from base units to nominal units
- * @param {string|number} ethereumAmount The amount in base units
+ * @param {string|number|bigint} ethereumAmount The amount in base units
  * @param {number} [decimals=6] Number of decimal places
+ * @param {string} [rounding='HALF_UP'] Rounding mode (see ROUNDING_MODES)
  * @returns {string} Formatted amount in nominal units
  */
-function convertToNominalUnits(ethereumAmount, decimals = 6) {
-  return (ethereumAmount / Math.pow(10, decimals)).toFixed(2);
+function convertToNominalUnits(ethereumAmount, decimals = 6, rounding = 'HALF_UP') {
+  return toNominalAmount(ethereumAmount, { decimals, displayDecimals: 2, rounding });
 }
 
 /**
@@ -36,8 +124,182 @@ function calculateRemainingTakerSpace(order) {
   const fillAmount = BigInt(order.fillAmount);
   const percentageOdds = BigInt(order.percentageOdds);
 
-  const remaining = (totalBetSize - fillAmount) * BigInt(1e20) / percentageOdds - (totalBetSize - fillAmount);
-  return convertToNominalUnits(Number(remaining));
+  const remaining = (totalBetSize - fillAmount) * ODDS_PRECISION / percentageOdds - (totalBetSize - fillAmount);
+  return convertToNominalUnits(remaining);
+}
+
+/**
+ * Error returned by the SX Bet API (non-2xx status or a non-success response body)
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} [details={}] Error details
+   * @param {number} [details.status] HTTP status code
+   * @param {any} [details.payload] Response body returned by the API
+   * @param {string} [details.endpoint] API endpoint that was called
+   */
+  constructor(message, { status, payload, endpoint } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.payload = payload;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * Error returned when the API rate limit is hit (HTTP 429)
+ * @extends ApiError
+ */
+class RateLimitError extends ApiError {
+  /**
+   * @param {string} message Error message
+   * @param {Object} [details={}] Error details (same as ApiError)
+   * @param {number} [details.retryAfter] Delay requested by the API in milliseconds
+   */
+  constructor(message, { retryAfter, ...details } = {}) {
+    super(message, { status: 429, ...details });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error raised when no response was received (DNS failure, refused connection, timeout)
+ */
+class NetworkError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} [details={}] Error details
+   * @param {string} [details.endpoint] API endpoint that was called
+   * @param {Error} [details.cause] Underlying error
+   */
+  constructor(message, { endpoint, cause } = {}) {
+    super(message, { cause });
+    this.name = 'NetworkError';
+    this.status = null;
+    this.payload = null;
+    this.endpoint = endpoint;
+  }
+}
+
+// Retry defaults for get() and post()
+const RETRY_DEFAULTS = {
+  retries: 3,
+  retryDelay: 500,
+  maxRetryDelay: 10000
+};
+
+/**
+ * Parses a Retry-After header into milliseconds
+ * @param {string} [header] Header value, in seconds or as an HTTP date
+ * @returns {number|undefined} Delay in milliseconds
+ */
+function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') return undefined;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Converts an axios error into an ApiError, RateLimitError or NetworkError
+ * @param {Error} error The axios error
+ * @param {string} endpoint API endpoint that was called
+ * @returns {Error} Typed error
+ */
+function toTypedError(error, endpoint) {
+  if (!error.response) {
+    return new NetworkError(`Network error calling ${endpoint}: ${error.message}`, { endpoint, cause: error });
+  }
+
+  const { status, data, headers } = error.response;
+  if (status === 429) {
+    return new RateLimitError(`Rate limited calling ${endpoint}`, {
+      payload: data,
+      endpoint,
+      retryAfter: parseRetryAfter(headers?.['retry-after'])
+    });
+  }
+  return new ApiError(`API error ${status} calling ${endpoint}`, { status, payload: data, endpoint });
+}
+
+/**
+ * Whether a failed request should be tried again
+ * @param {Error} error Typed error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return error instanceof NetworkError ||
+    error instanceof RateLimitError ||
+    (error instanceof ApiError && error.status >= 500);
+}
+
+/**
+ * Exponential backoff with full jitter, honouring the API's Retry-After when given
+ * @param {number} attempt Zero-based retry attempt
+ * @param {Error} error The error that triggered the retry
+ * @param {Object} retryOptions Retry options
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, error, { retryDelay, maxRetryDelay }) {
+  if (error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, maxRetryDelay);
+  }
+  const ceiling = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends a request to the SX Bet API, retrying on 429, 5xx and network errors
+ * @param {Object} config axios request config (method, url, params, data)
+ * @param {string} endpoint API endpoint, used in error messages
+ * @param {Object} options Request options (see get)
+ * @returns {Promise<Object>} Response body
+ */
+async function request(config, endpoint, options) {
+  const headers = { ...config.headers };
+  if (options.apiKey) {
+    headers['X-Api-Key'] = options.apiKey;
+  }
+
+  const retryOptions = {
+    retries: options.retries ?? RETRY_DEFAULTS.retries,
+    retryDelay: options.retryDelay ?? RETRY_DEFAULTS.retryDelay,
+    maxRetryDelay: options.maxRetryDelay ?? RETRY_DEFAULTS.maxRetryDelay
+  };
+  const baseUrl = options.baseUrl || API_BASE_URL;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await axios.request({ ...config, url: `${baseUrl}${endpoint}`, headers });
+    } catch (error) {
+      const typedError = toTypedError(error, endpoint);
+      if (attempt >= retryOptions.retries || !isRetryable(typedError)) {
+        throw typedError;
+      }
+      await sleep(getRetryDelay(attempt, typedError, retryOptions));
+      continue;
+    }
+
+    if (response.data?.status && response.data.status !== 'success') {
+      throw new ApiError(`API returned status "${response.data.status}" for ${endpoint}`, {
+        status: response.status,
+        payload: response.data,
+        endpoint
+      });
+    }
+    return response.data;
+  }
 }
 
 /**
@@ -46,53 +308,42 @@ function calculateRemainingTakerSpace(order) {
  * @param {Object} [params={}] Query parameters
  * @param {Object} [options={}] Request options
  * @param {string} [options.apiKey] API key for authenticated endpoints
+ * @param {string} [options.baseUrl=API_BASE_URL] API base URL (e.g. testnet or a local server)
+ * @param {number} [options.retries=3] Retries on 429, 5xx and network errors
+ * @param {number} [options.retryDelay=500] Base backoff delay in milliseconds
+ * @param {number} [options.maxRetryDelay=10000] Maximum backoff delay in milliseconds
  * @returns {Promise<any>} Response data
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after all retries
  */
 async function get(endpoint, params = {}, options = {}) {
-  try {
-    const headers = {};
-    if (options.apiKey) {
-      headers['X-Api-Key'] = options.apiKey;
-    }
-
-    const response = await axios.get(`${API_BASE_URL}${endpoint}`, { 
-      params,
-      headers
-    });
-
-    return response.data.data;
-  } catch (error) {
-    console.error(`Error fetching from ${endpoint}:`, error.message);
-    return Array.isArray(response?.data?.data) ? [] : null;
-  }
+  const body = await request({ method: 'get', params }, endpoint, options);
+  return body.data;
 }
 
 /**
  * Makes a POST request to the SX Bet API
  * @param {string} endpoint API endpoint
  * @param {Object} data Request body
- * @param {Object} [options={}] Request options
- * @param {string} [options.apiKey] API key for authenticated endpoints
+ * @param {Object} [options={}] Request options (same as get)
  * @returns {Promise<any>} Response data
+ * @throws {RateLimitError|ApiError|NetworkError} When the request fails after all retries
  */
 async function post(endpoint, data, options = {}) {
-  try {
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    if (options.apiKey) {
-      headers['X-Api-Key'] = options.apiKey;
-    }
-
-    const response = await axios.post(`${API_BASE_URL}${endpoint}`, data, {
-      headers
-    });
+  return request({
+    method: 'post',
+    data,
+    headers: { 'Content-Type': 'application/json' }
+  }, endpoint, options);
+}
 
-    return response.data;
-  } catch (error) {
-    console.error(`Error posting to ${endpoint}:`, error.message);
-    throw error;
-  }
+/**
+ * Separates request options (base URL, API key, retries) from API query parameters
+ * @param {Object} [options={}] Mixed options object
+ * @returns {{query: Object, request: Object}} Query parameters and request options
+ */
+function splitRequestOptions(options = {}) {
+  const { baseUrl, apiKey, retries, retryDelay, maxRetryDelay, ...query } = options;
+  return { query, request: { baseUrl, apiKey, retries, retryDelay, maxRetryDelay } };
 }
 
 /**
@@ -116,30 +367,36 @@ function formatAddress(address) {
 
 /**
  * Formats an amount with a specified number of decimals
- * @param {string|number} amount The amount to format
+ * @param {string|number|bigint} amount The amount to format (in base units)
  * @param {number} [decimals=6] Number of decimal places
  * @param {boolean} [addCommas=true] Whether to add commas for thousands
+ * @param {string} [rounding='HALF_UP'] Rounding mode (see ROUNDING_MODES)
  * @returns {string} Formatted amount
  */
-function formatAmount(amount, decimals = 6, addCommas = true) {
-  const num = Number(amount) / Math.pow(10, decimals);
-  if (addCommas) {
-    return num.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-  }
-  return num.toFixed(2);
+function formatAmount(amount, decimals = 6, addCommas = true, rounding = 'HALF_UP') {
+  return toNominalAmount(amount, { decimals, displayDecimals: 2, rounding, commas: addCommas });
 }
 
 export {
   // Formatting utilities
   calculateTakerOdds,
   convertToNominalUnits,
+  toNominalAmount,
+  toBaseAmount,
   calculateRemainingTakerSpace,
   formatTimestamp,
   formatAddress,
   formatAmount,
+  ROUNDING_MODES,
   
   // API utilities
   get,
   post,
-  API_BASE_URL
+  splitRequestOptions,
+  API_BASE_URL,
+
+  // Errors
+  ApiError,
+  RateLimitError,
+  NetworkError
 }; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 import * as ably from 'ably';
 import axios from 'axios';
 import { EventEmitter } from 'events';
+import { fetchOrders, OrderBook } from '../order-data/index.js';
 
 /**
  * SX Bet WebSocket client for real-time order book updates
@@ -12,6 +13,8 @@ class SXWebsocketClient extends EventEmitter {
    * @param {Object} config Configuration options
    * @param {string} config.apiKey SX Bet API key
    * @param {string} [config.token='0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B'] Token address
+   * @param {string} [config.baseUrl='https://api.sx.bet'] API base URL used to request auth tokens and order book snapshots
+   * @param {boolean} [config.maintainOrderBooks=true] Keep a live OrderBook for each subscribed market
    */
   constructor(config) {
     super();
@@ -24,7 +27,10 @@ class SXWebsocketClient extends EventEmitter {
     this.realtime = null;
     this.activeChannels = new Map();
     this.orderBookHistory = new Map();
+    this.orderBooks = new Map();
+    this.maintainOrderBooks = config.maintainOrderBooks ?? true;
     this.TOKEN = config.token || '0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B';
+    this.baseUrl = config.baseUrl || process.env.SX_BET_API_URL || 'https://api.sx.bet';
     this.isConnected = false;
   }
 
@@ -68,7 +74,7 @@ class SXWebsocketClient extends EventEmitter {
       return true;
     } catch (error) {
       console.error('Initialization error:', error.message);
-      this.emit('error', error);
+      this.emitError(error);
       return false;
     }
   }
@@ -80,7 +86,7 @@ class SXWebsocketClient extends EventEmitter {
    */
   async createTokenRequest() {
     try {
-      const response = await axios.get("https://api.sx.bet/user/token", {
+      const response = await axios.get(`${this.baseUrl}/user/token`, {
         headers: {
           "X-Api-Key": this.apiKey,
         },
@@ -95,7 +101,8 @@ class SXWebsocketClient extends EventEmitter {
   /**
    * Subscribes to order book updates for a market
    * @param {string} marketHash The market hash to subscribe to
-   * @returns {Promise<boolean>} True if subscription is successful
+   * @returns {Promise<boolean>} True if subscription is successful, false when it fails or the
+   *   market is unsubscribed before its order book snapshot has loaded
    */
   async subscribeToMarket(marketHash) {
     if (!this.isConnected) {
@@ -117,17 +124,38 @@ class SXWebsocketClient extends EventEmitter {
         this.orderBookHistory.set(marketHash, []);
       }
 
+      // Updates that arrive while the snapshot is loading are buffered and applied after it
+      let pendingUpdates = this.maintainOrderBooks ? [] : null;
+
       channel.subscribe((message) => {
         const updates = message.data;
-        this.processOrderBookUpdates(marketHash, updates);
+        const orders = this.processOrderBookUpdates(marketHash, updates);
+        if (pendingUpdates) {
+          pendingUpdates.push(...orders);
+        } else if (this.maintainOrderBooks) {
+          this.applyOrderBookUpdates(marketHash, orders);
+        }
       });
 
       this.activeChannels.set(marketHash, channel);
       console.log(`Subscribed to market: ${marketHash}`);
+
+      if (this.maintainOrderBooks) {
+        const book = await this.loadOrderBookSnapshot(marketHash);
+        const buffered = pendingUpdates;
+        pendingUpdates = null;
+
+        // Unsubscribed while the snapshot was loading: don't bring the book back
+        if (!this.activeChannels.has(marketHash)) {
+          return false;
+        }
+        this.orderBooks.set(marketHash, book);
+        this.applyOrderBookUpdates(marketHash, buffered);
+      }
       return true;
     } catch (error) {
       console.error(`Error subscribing to market ${marketHash}:`, error.message);
-      this.emit('error', error);
+      this.emitError(error);
       return false;
     }
   }
@@ -147,11 +175,12 @@ class SXWebsocketClient extends EventEmitter {
       const channel = this.activeChannels.get(marketHash);
       await channel.unsubscribe();
       this.activeChannels.delete(marketHash);
+      this.orderBooks.delete(marketHash);
       console.log(`Unsubscribed from market: ${marketHash}`);
       return true;
     } catch (error) {
       console.error(`Error unsubscribing from market ${marketHash}:`, error.message);
-      this.emit('error', error);
+      this.emitError(error);
       return false;
     }
   }
@@ -161,14 +190,16 @@ class SXWebsocketClient extends EventEmitter {
    * @private
    * @param {string} marketHash The market hash
    * @param {Array} updates Array of order updates
+   * @returns {Array<Object>} The formatted orders
    */
   processOrderBookUpdates(marketHash, updates) {
     if (!Array.isArray(updates)) {
       console.error('Invalid update format received');
-      return;
+      return [];
     }
 
     const history = this.orderBookHistory.get(marketHash) || [];
+    const formattedOrders = [];
     
     for (const order of updates) {
       if (!Array.isArray(order) || order.length < 14) {
@@ -195,6 +226,7 @@ class SXWebsocketClient extends EventEmitter {
       };
 
       history.push(formattedOrder);
+      formattedOrders.push(formattedOrder);
       
       // Emit the update
       this.emit('orderBookUpdate', marketHash, formattedOrder);
@@ -202,6 +234,68 @@ class SXWebsocketClient extends EventEmitter {
 
     // Update history
     this.orderBookHistory.set(marketHash, history);
+    return formattedOrders;
+  }
+
+  /**
+   * Loads the order book snapshot for a market from the REST API
+   * @private
+   * @param {string} marketHash The market hash
+   * @returns {Promise<OrderBook>} The book, empty when the snapshot could not be loaded
+   */
+  async loadOrderBookSnapshot(marketHash) {
+    try {
+      const orders = await fetchOrders(marketHash, {
+        baseToken: this.TOKEN,
+        baseUrl: this.baseUrl,
+        apiKey: this.apiKey,
+        asModels: true
+      });
+      return new OrderBook(orders);
+    } catch (error) {
+      // Keep going with an empty book: websocket updates still fill it in
+      console.error(`Error loading order book for market ${marketHash}:`, error.message);
+      this.emitError(error);
+      return new OrderBook();
+    }
+  }
+
+  /**
+   * Emits an 'error' event when someone listens for it. Errors are already logged, and an
+   * unhandled 'error' event would throw out of the methods that report failure by returning false.
+   * @private
+   * @param {Error} error The error
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Applies websocket order updates to a market's order book and emits the changes
+   * @private
+   * @param {string} marketHash The market hash
+   * @param {Array<Object>} orders Formatted order updates
+   */
+  applyOrderBookUpdates(marketHash, orders) {
+    const book = this.orderBooks.get(marketHash);
+    if (!book) return;
+
+    const diff = book.applyUpdates(orders, marketHash);
+
+    if (diff.added.length || diff.updated.length || diff.removed.length) {
+      this.emit('bookChanged', marketHash, diff, book);
+    }
+  }
+
+  /**
+   * Gets the live order book for a subscribed market
+   * @param {string} marketHash The market hash
+   * @returns {OrderBook|null} The order book, or null if the market is not subscribed
+   */
+  getOrderBook(marketHash) {
+    return this.orderBooks.get(marketHash) || null;
   }
 
   /**
@@ -0,0 +1,95 @@
+// SXBetClient network resolution and metadata loading, against the mock server
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { SXBetClient, NETWORKS, resolveNetwork } from '../standalone/client/index.js';
+import { MockSXBetServer } from '../standalone/mock-server/index.js';
+
+const ORDER = {
+  marketHash: '0x' + '1'.repeat(64),
+  stakeSize: '10',
+  percentageOdds: '50000000000000000000',
+  isMakerBettingOutcomeOne: true
+};
+
+describe('resolveNetwork', () => {
+  it('returns a copy of a known network', () => {
+    const mainnet = resolveNetwork('mainnet');
+    assert.deepEqual(mainnet, NETWORKS.mainnet);
+    mainnet.executor = '0x0';
+    assert.notEqual(NETWORKS.mainnet.executor, '0x0');
+  });
+
+  it('leaves the testnet addresses empty', () => {
+    const testnet = resolveNetwork('testnet');
+    assert.equal(testnet.baseToken, null);
+    assert.equal(testnet.executor, null);
+    assert.equal(testnet.fillHasher, null);
+  });
+
+  it('gives custom networks mainnet defaults but no mainnet addresses', () => {
+    const custom = resolveNetwork({ chainId: 1337 });
+    assert.equal(custom.baseUrl, NETWORKS.mainnet.baseUrl);
+    assert.equal(custom.domainVersion, NETWORKS.mainnet.domainVersion);
+    assert.equal(custom.baseToken, null);
+    assert.equal(custom.executor, null);
+    assert.equal(custom.fillHasher, null);
+  });
+
+  it('rejects custom networks without a chainId and unknown names', () => {
+    assert.throws(() => resolveNetwork({ baseUrl: 'http://localhost' }), /needs a chainId/);
+    assert.throws(() => resolveNetwork('devnet'), /Unknown network: devnet/);
+  });
+});
+
+describe('SXBetClient', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const server = new MockSXBetServer();
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await server.start();
+  });
+
+  after(() => server.stop());
+
+  it('requires testnet addresses instead of falling back to mainnet', () => {
+    const client = new SXBetClient({ network: 'testnet', wallet, oddsLadderStep: 250000000000000000n });
+    assert.throws(() => client.createOrder(ORDER), /no baseToken\. Call loadMetadata\(\)/);
+    assert.throws(() => client.createWebsocketClient(), /no baseToken/);
+  });
+
+  it('requires the odds ladder step', () => {
+    const client = new SXBetClient({ wallet });
+    assert.throws(() => client.createOrder(ORDER), /no oddsLadderStep/);
+  });
+
+  it('prefers constructor overrides over the network', () => {
+    const client = new SXBetClient({ network: 'testnet', baseUrl, executor: '0x2' });
+    assert.equal(client.network.baseUrl, baseUrl);
+    assert.equal(client.network.executor, '0x2');
+    assert.equal(client.network.chainId, NETWORKS.testnet.chainId);
+  });
+
+  it('loads missing addresses and the odds ladder step from /metadata', async () => {
+    const client = new SXBetClient({ network: { chainId: 4162 }, baseUrl, wallet, executor: '0x2' });
+    await client.loadMetadata();
+
+    const { metadata } = server.data;
+    assert.equal(client.network.executor, '0x2');
+    assert.equal(client.network.fillHasher, metadata.EIP712FillHasher);
+    assert.equal(client.network.baseToken, metadata.addresses['4162'].USDC);
+    assert.equal(client.network.oddsLadderStep, BigInt(metadata.oddsLadderStepSize) * 10n ** 16n);
+
+    const order = client.createOrder(ORDER);
+    assert.equal(order.maker, wallet.address);
+    assert.equal(order.baseToken, metadata.addresses['4162'].USDC);
+  });
+
+  it('leaves baseToken empty when /metadata has none for the chain', async () => {
+    const client = new SXBetClient({ network: 'testnet', baseUrl, wallet });
+    await client.loadMetadata();
+    assert.equal(client.network.baseToken, undefined);
+    assert.throws(() => client.createOrder(ORDER), /no baseToken/);
+  });
+});
@@ -0,0 +1,109 @@
+// Fixture filtering and the market data cache, against the mock server
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fetchFixtures,
+  fetchSports,
+  FIXTURE_STATUS,
+  CACHE_TTL,
+  DEFAULT_MAX_STALE,
+  configureCache,
+  invalidateCache
+} from '../standalone/market-data/index.js';
+import { MockSXBetServer } from '../standalone/mock-server/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('fetchFixtures', () => {
+  const server = new MockSXBetServer();
+  let baseUrl;
+  let leagueIds;
+
+  // Fixture IDs, in start date order
+  const ids = fixtures => fixtures.map(fixture => fixture.eventId);
+  const sortedIds = predicate => ids(server.data.fixtures
+    .filter(predicate)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate)));
+
+  before(async () => {
+    baseUrl = await server.start();
+    leagueIds = [...new Set(server.data.fixtures.map(fixture => fixture.leagueId))];
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => invalidateCache());
+
+  it('has a fixture in progress to filter', () => {
+    assert.ok(server.data.fixtures.some(fixture =>
+      fixture.status === FIXTURE_STATUS.IN_PROGRESS && new Date(fixture.startDate) < new Date()));
+  });
+
+  it('returns upcoming fixtures by default', async () => {
+    const fixtures = await fetchFixtures(leagueIds, { baseUrl, to: null });
+    assert.deepEqual(ids(fixtures), sortedIds(fixture => new Date(fixture.startDate) >= new Date()));
+  });
+
+  it('adds fixtures in progress with includeLive', async () => {
+    const fixtures = await fetchFixtures(leagueIds, { baseUrl, to: null, includeLive: true });
+    assert.deepEqual(ids(fixtures), sortedIds(fixture =>
+      new Date(fixture.startDate) >= new Date() || fixture.status === FIXTURE_STATUS.IN_PROGRESS));
+  });
+
+  it('includes earlier fixtures when from is in the past', async () => {
+    const fixtures = await fetchFixtures(leagueIds, { baseUrl, to: null, from: 0 });
+    assert.deepEqual(ids(fixtures), sortedIds(() => true));
+  });
+
+  it('leaves fixtures in progress out of a window that starts in the future', async () => {
+    const from = Date.now() + DAY;
+    const fixtures = await fetchFixtures(leagueIds, { baseUrl, to: null, from, includeLive: true });
+    assert.deepEqual(ids(fixtures), sortedIds(fixture => new Date(fixture.startDate) >= new Date(from)));
+  });
+
+  it('filters by end date, status and page', async () => {
+    const to = Date.now() + 3 * DAY;
+    const upcoming = await fetchFixtures(leagueIds, { baseUrl, to, statuses: [FIXTURE_STATUS.NOT_STARTED] });
+    assert.deepEqual(ids(upcoming), sortedIds(fixture =>
+      fixture.status === FIXTURE_STATUS.NOT_STARTED &&
+      new Date(fixture.startDate) >= new Date() && new Date(fixture.startDate) <= new Date(to)));
+
+    const page = await fetchFixtures(leagueIds, { baseUrl, to: null, offset: 1, limit: 2 });
+    assert.deepEqual(ids(page), sortedIds(fixture => new Date(fixture.startDate) >= new Date()).slice(1, 3));
+  });
+});
+
+describe('market data cache', () => {
+  const server = new MockSXBetServer();
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await server.start();
+  });
+
+  after(async () => {
+    configureCache({ ttl: CACHE_TTL, staleWhileRevalidate: false, maxStale: DEFAULT_MAX_STALE });
+    await server.stop();
+  });
+
+  beforeEach(() => invalidateCache());
+
+  it('returns a copy that callers can change', async () => {
+    configureCache({ ttl: { sports: 60 * 1000 } });
+    const sports = await fetchSports({ baseUrl });
+    sports.push({ sportId: -1 });
+    assert.deepEqual(await fetchSports({ baseUrl }), server.data.sports);
+  });
+
+  it('serves stale data while revalidating, up to maxStale', async () => {
+    configureCache({ ttl: { sports: 20 }, staleWhileRevalidate: true, maxStale: 100 });
+    const sports = await fetchSports({ baseUrl });
+    await server.stop();
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepEqual(await fetchSports({ baseUrl, retries: 0 }), sports);
+
+    await new Promise(resolve => setTimeout(resolve, 120));
+    await assert.rejects(fetchSports({ baseUrl, retries: 0 }));
+  });
+});
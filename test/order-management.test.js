@@ -0,0 +1,131 @@
+// postOrders per-order results, against the mock server
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { createOrder, postOrders } from '../standalone/order-management/index.js';
+import { MockSXBetServer } from '../standalone/mock-server/index.js';
+
+const STEP = 250000000000000000n;
+
+describe('createOrder', () => {
+  const params = {
+    marketHash: '0x' + '1'.repeat(64),
+    maker: '0x' + '2'.repeat(40),
+    baseToken: '0x' + '3'.repeat(40),
+    executor: '0x' + '4'.repeat(40),
+    stakeSize: '20',
+    isMakerBettingOutcomeOne: true
+  };
+
+  it('requires the odds ladder step', () => {
+    assert.throws(() => createOrder({ ...params, percentageOdds: '50000000000000000000' }), TypeError);
+  });
+
+  it('throws for odds off the ladder unless a rounding mode is given', () => {
+    assert.throws(() => createOrder({ ...params, percentageOdds: '50100000000000000000', oddsLadderStep: STEP }), RangeError);
+    const order = createOrder({ ...params, percentageOdds: '50100000000000000000', oddsLadderStep: STEP, rounding: 'down' });
+    assert.equal(order.percentageOdds, '50000000000000000000');
+  });
+});
+
+describe('postOrders', () => {
+  const server = new MockSXBetServer();
+  const wallet = ethers.Wallet.createRandom();
+  let baseUrl;
+  let order;
+
+  before(async () => {
+    baseUrl = await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    const { metadata, markets } = server.data;
+    order = (overrides = {}) => ({
+      ...createOrder({
+        marketHash: markets[0].marketHash,
+        maker: wallet.address,
+        baseToken: metadata.addresses['4162'].USDC,
+        executor: metadata.executorAddress,
+        stakeSize: '20',
+        percentageOdds: '50000000000000000000',
+        oddsLadderStep: STEP,
+        isMakerBettingOutcomeOne: true
+      }),
+      ...overrides
+    });
+  });
+
+  it('posts valid orders in one request, loading the ladder step from /metadata', async () => {
+    const results = await postOrders([order(), order()], wallet, { baseUrl });
+
+    assert.deepEqual(results.map(result => result.accepted), [true, true]);
+    assert.equal(server.requests.filter(request => request.path === '/metadata').length, 1);
+    assert.equal(server.requests.filter(request => request.path === '/orders/new').length, 1);
+
+    const active = new Set(server.getActiveOrders().map(active => active.orderHash));
+    results.forEach(result => assert.ok(active.has(result.orderHash)));
+  });
+
+  it('rejects malformed orders on their own and posts the rest', async () => {
+    const results = await postOrders([
+      order(),
+      order({ percentageOdds: '50100000000000000000' }),
+      order({ percentageOdds: 'abc' }),
+      order({ salt: 'xyz' }),
+      order({ maker: undefined })
+    ], wallet, { baseUrl, oddsLadderStep: STEP });
+
+    assert.deepEqual(results.map(result => result.accepted), [true, false, false, false, false]);
+    assert.equal(results[0].reason, null);
+    assert.match(results[1].reason, /not on the odds ladder/);
+    assert.match(results[2].reason, /percentageOdds abc is not a whole number/);
+    assert.match(results[3].reason, /^Could not sign order/);
+    assert.match(results[4].reason, /^Missing maker/);
+    assert.equal(results[2].orderHash, null);
+    assert.equal(server.requests.filter(request => request.path === '/orders/new').length, 1);
+  });
+
+  it('finds the order the API rejected by posting a rejected batch one by one', async () => {
+    const results = await postOrders([order(), order({ marketHash: '0x' + 'f'.repeat(64) }), order()], wallet, {
+      baseUrl,
+      oddsLadderStep: STEP
+    });
+
+    assert.deepEqual(results.map(result => result.accepted), [true, false, true]);
+    assert.ok(results[1].reason);
+    assert.equal(server.requests.filter(request => request.path === '/orders/new').length, 4);
+  });
+
+  it('splits orders into chunks', async () => {
+    const results = await postOrders([order(), order(), order()], wallet, { baseUrl, oddsLadderStep: STEP, chunkSize: 2 });
+    assert.ok(results.every(result => result.accepted));
+    assert.equal(server.requests.filter(request => request.path === '/orders/new').length, 2);
+    await assert.rejects(postOrders([order()], wallet, { baseUrl, oddsLadderStep: STEP, chunkSize: 0 }), RangeError);
+  });
+
+  it('does not post a rate-limited batch one by one', async () => {
+    let calls = 0;
+    const limited = http.createServer((req, res) => {
+      calls++;
+      req.resume();
+      res.writeHead(429, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'failure', errorCode: 'RATE_LIMITED', message: 'Too many requests' }));
+    });
+    await new Promise(resolve => limited.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const results = await postOrders([order(), order(), order()], wallet, {
+        baseUrl: `http://127.0.0.1:${limited.address().port}`,
+        oddsLadderStep: STEP
+      });
+      assert.equal(calls, 1);
+      assert.ok(results.every(result => !result.accepted && result.reason === 'Too many requests'));
+    } finally {
+      await new Promise(resolve => limited.close(resolve));
+    }
+  });
+});
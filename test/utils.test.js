@@ -0,0 +1,114 @@
+// Request retries and typed errors of get and post
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { get, post, ApiError, RateLimitError, NetworkError } from '../standalone/utils/index.js';
+import { MockSXBetServer } from '../standalone/mock-server/index.js';
+
+const FAST = { retryDelay: 1, maxRetryDelay: 5 };
+
+/**
+ * Starts a server that answers with the given responses in turn, repeating the last one
+ * @param {Array<{status: number, body: Object, headers?: Object}>} responses Responses
+ * @returns {Promise<{baseUrl: string, calls: () => number, close: () => Promise<void>}>}
+ */
+async function scriptedServer(responses) {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    const { status, body, headers = {} } = responses[Math.min(calls, responses.length - 1)];
+    calls++;
+    req.resume();
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    calls: () => calls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const failure = (status, errorCode) => ({ status, body: { status: 'failure', errorCode, message: errorCode } });
+const success = data => ({ status: 200, body: { status: 'success', data } });
+
+describe('get and post against the mock server', () => {
+  const server = new MockSXBetServer();
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await server.start();
+  });
+
+  after(() => server.stop());
+
+  it('get returns the response data and sends the API key', async () => {
+    const sports = await get('/sports', {}, { baseUrl, apiKey: 'test-key' });
+    assert.deepEqual(sports, server.data.sports);
+  });
+
+  it('throws an ApiError with the response for a 404 without retrying', async () => {
+    const before = server.requests.length;
+    const error = await get('/unknown', {}, { baseUrl, ...FAST }).catch(e => e);
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 404);
+    assert.equal(error.endpoint, '/unknown');
+    assert.equal(error.payload.errorCode, 'NOT_FOUND');
+    assert.equal(server.requests.length, before + 1);
+  });
+
+  it('post throws an ApiError for a rejected body', async () => {
+    const error = await post('/orders/new', { orders: [] }, { baseUrl, ...FAST }).catch(e => e);
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 400);
+  });
+});
+
+describe('retries', () => {
+  it('retries 5xx responses until one succeeds', async () => {
+    const stub = await scriptedServer([failure(500, 'INTERNAL_ERROR'), failure(503, 'UNAVAILABLE'), success([1])]);
+    try {
+      assert.deepEqual(await get('/sports', {}, { baseUrl: stub.baseUrl, ...FAST }), [1]);
+      assert.equal(stub.calls(), 3);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('throws a RateLimitError with Retry-After once the retries run out', async () => {
+    const stub = await scriptedServer([{ ...failure(429, 'RATE_LIMITED'), headers: { 'Retry-After': '0' } }]);
+    try {
+      const error = await get('/sports', {}, { baseUrl: stub.baseUrl, retries: 2, ...FAST }).catch(e => e);
+      assert.ok(error instanceof RateLimitError);
+      assert.ok(error instanceof ApiError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfter, 0);
+      assert.equal(stub.calls(), 3);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('does not retry when retries is 0', async () => {
+    const stub = await scriptedServer([failure(500, 'INTERNAL_ERROR'), success([1])]);
+    try {
+      const error = await post('/orders/fill', {}, { baseUrl: stub.baseUrl, retries: 0 }).catch(e => e);
+      assert.ok(error instanceof ApiError);
+      assert.equal(error.status, 500);
+      assert.equal(stub.calls(), 1);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('throws a NetworkError when nothing is listening', async () => {
+    const stub = await scriptedServer([success([])]);
+    await stub.close();
+
+    const error = await get('/sports', {}, { baseUrl: stub.baseUrl, retries: 1, ...FAST }).catch(e => e);
+    assert.ok(error instanceof NetworkError);
+    assert.equal(error.status, null);
+    assert.equal(error.endpoint, '/sports');
+    assert.ok(error.cause);
+  });
+});
@@ -3,6 +3,7 @@ import { ethers } from 'ethers';
 import inquirer from 'inquirer';
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
+import { ODDS_PRECISION, toTakerOdds, fromPercentageOdds } from '../../standalone/odds/index.js';
 import { randomBytes } from 'crypto';
 
 // Load environment variables
@@ -61,20 +62,16 @@ const fetchActiveOrders = async (maker, chainVersion = 'SXR') => {
 
 // Convert percentage odds to display format
 const formatOdds = (percentageOdds) => {
-  const impliedOdds = BigInt(percentageOdds) * BigInt(100) / BigInt(10**20);
-  return `${impliedOdds.toString()}%`;
+  return fromPercentageOdds(percentageOdds, 'percent');
 };
 
 // Calculate potential payout based on bet amount and odds
 const calculatePotentialPayout = (betAmount, percentageOdds) => {
   // Convert to BigInt for precision
   const amount = BigInt(betAmount);
-  const odds = BigInt(percentageOdds);
-  const base = BigInt(10**20);
   
   // Formula: betAmount / (1 - percentageOdds/10^20)
-  const denominator = base - odds;
-  const payout = amount * base / denominator;
+  const payout = amount * ODDS_PRECISION / toTakerOdds(percentageOdds);
   
   return payout.toString();
 };
@@ -118,11 +115,9 @@ const calculateFillAmount = (takerBetAmount, percentageOdds) => {
   // Convert to BigInt for precision
   const betAmount = BigInt(takerBetAmount);
   const odds = BigInt(percentageOdds);
-  const base = BigInt(10**20);
   
   // Calculate fill amount using the formula
-  const denominator = base - odds;
-  const fillAmount = betAmount * odds / denominator;
+  const fillAmount = betAmount * odds / toTakerOdds(odds);
   
   return fillAmount.toString();
 };
@@ -1,6 +1,9 @@
 // src/services/eventService.js
 const apiClient = require('../api/client');
 
+// Fixture status code of games in progress
+const FIXTURE_IN_PROGRESS = 2;
+
 async function fetchSports() {
   return await apiClient.get('/sports') || [];
 }
@@ -10,21 +13,38 @@ async function fetchLeagues(sportId) {
   return leagues ? leagues.filter(league => league.sportId === sportId) : [];
 }
 
-async function fetchFixtures(leagueId) {
-  const fixtures = await apiClient.get('/fixture/active', { leagueId });
-  
-  if (!fixtures) return [];
+// Options:
+//   from, to     - start date window (defaults to now .. now + 7 days, to: null for no limit)
+//   includeLive  - also return fixtures in progress that started before from, unless from is in the future
+//   statuses     - only return fixtures with these status codes (1 = not started, 2 = in progress, ...)
+//   offset, limit - page through the sorted results
+async function fetchFixtures(leagueId, options = {}) {
+  const { from, to, includeLive = false, statuses, offset = 0, limit } = options;
+  const leagueIds = Array.isArray(leagueId) ? leagueId : [leagueId];
+
+  const results = await Promise.all(leagueIds.map(id => apiClient.get('/fixture/active', { leagueId: id })));
+  const fixtures = results.flatMap(result => result || []);
 
   const now = new Date();
-  const sevenDaysLater = new Date();
-  sevenDaysLater.setDate(now.getDate() + 7);
+  const fromDate = from === undefined ? now : new Date(from);
+  let toDate = null;
+  if (to === undefined) {
+    toDate = new Date(now);
+    toDate.setDate(now.getDate() + 7);
+  } else if (to !== null) {
+    toDate = new Date(to);
+  }
 
   return fixtures
     .filter(fixture => {
       const startDate = new Date(fixture.startDate);
-      return startDate >= now && startDate <= sevenDaysLater;
+      if (statuses && !statuses.includes(fixture.status)) return false;
+      if (toDate && startDate > toDate) return false;
+      if (startDate >= fromDate) return true;
+      return includeLive && fromDate <= now && fixture.status === FIXTURE_IN_PROGRESS;
     })
-    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+    .slice(offset, limit === undefined ? undefined : offset + limit);
 }
 
 async function fetchMarkets(eventId) {
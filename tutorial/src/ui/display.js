@@ -1,5 +1,5 @@
 // src/ui/display.js
-const { calculateTakerOdds, calculateRemainingTakerSpace } = require('../utils/formatter');
+const { calculateDecimalOdds, calculateTakerOdds, calculateRemainingTakerSpace } = require('../utils/formatter');
 
 function displayOrderBook(orders, outcomeOneName, outcomeTwoName) {
   const outcomeOneOrders = [];
@@ -51,7 +51,7 @@ function displayTrades(trades, outcomeOneName, outcomeTwoName) {
     .sort((a, b) => a.betTime - b.betTime) // Chronological order
     .forEach(trade => {
       const betTime = new Date(trade.betTime * 1000).toISOString().replace("T", " ").slice(0, 19);
-      const decimalOdds = (1 / (trade.odds / 1e20)).toFixed(2);
+      const decimalOdds = calculateDecimalOdds(trade.odds); // trade.odds are the bettor's odds
       const stake = (trade.stake / 1e6).toFixed(2);
       const outcome = trade.bettingOutcomeOne ? outcomeOneName : outcomeTwoName;
       const bettor = trade.bettor;
@@ -1,11 +1,30 @@
 // src/utils/formatters.js
+const BigNumber = require('bignumber.js');
+
+// Odds have 10^20 precision. These mirror fromPercentageOdds in standalone/odds, in exact BigInt math.
+const ODDS_PRECISION = 10n ** 20n;
+
+function calculateDecimalOdds(percentageOdds, decimals = 2) {
+    const odds = BigInt(percentageOdds);
+    if (odds <= 0n || odds >= ODDS_PRECISION) return "N/A";
+
+    // Decimal odds = 1 / implied probability, rounded half up
+    const scale = 10n ** BigInt(decimals);
+    const scaled = (ODDS_PRECISION * scale * 2n / odds + 1n) / 2n;
+    const whole = (scaled / scale).toString();
+    const fraction = (scaled % scale).toString().padStart(decimals, '0');
+    return decimals > 0 ? `${whole}.${fraction}` : whole;
+  }
+
 function calculateTakerOdds(percentageOdds) {
-    const impliedOdds = 1 - percentageOdds / 1e20;
-    return impliedOdds > 0 ? (1 / impliedOdds).toFixed(2) : "N/A";
+    const odds = BigInt(percentageOdds);
+    if (odds <= 0n || odds >= ODDS_PRECISION) return "N/A";
+    return calculateDecimalOdds(ODDS_PRECISION - odds);
   }
   
   function convertToNominalUnits(ethereumAmount, decimals = 6) {
-    return (ethereumAmount / Math.pow(10, decimals)).toFixed(2);
+    // bignumber.js keeps large amounts exact, where dividing a Number would lose cents
+    return new BigNumber(ethereumAmount.toString()).shiftedBy(-decimals).toFixed(2, BigNumber.ROUND_HALF_UP);
   }
   
   function calculateRemainingTakerSpace(order) {
@@ -13,11 +32,12 @@ function calculateTakerOdds(percentageOdds) {
     const fillAmount = BigInt(order.fillAmount);
     const percentageOdds = BigInt(order.percentageOdds);
   
-    const remaining = (totalBetSize - fillAmount) * BigInt(1e20) / percentageOdds - (totalBetSize - fillAmount);
-    return convertToNominalUnits(Number(remaining));
+    const remaining = (totalBetSize - fillAmount) * ODDS_PRECISION / percentageOdds - (totalBetSize - fillAmount);
+    return convertToNominalUnits(remaining);
   }
   
   module.exports = {
+    calculateDecimalOdds,
     calculateTakerOdds,
     convertToNominalUnits,
     calculateRemainingTakerSpace
@@ -1,6 +1,7 @@
 // app.js
 import readline from 'readline';
 import sxWebsocketClient from './websocketModule.js';
+import { fromPercentageOdds } from '../../standalone/odds/index.js';
 
 // Create readline interface
 const rl = readline.createInterface({
@@ -256,11 +257,12 @@ const displayOrder = (order) => {
   console.log(`Chain Version: ${order.chainVersion}`);
   console.log(`Event ID: ${order.sportXeventId}`);
   
-  // Calculate and display implied odds
-  const impliedOdds = (BigInt(order.percentageOdds) / BigInt(10**20)).toString();
-  const takerOdds = (1 - Number(impliedOdds)).toFixed(4);
+  // Calculate and display implied odds (percentageOdds are the maker's)
+  const impliedOdds = fromPercentageOdds(order.percentageOdds, 'implied');
+  const takerOdds = fromPercentageOdds(order.percentageOdds, 'implied', { taker: true });
+  const takerDecimalOdds = fromPercentageOdds(order.percentageOdds, 'decimal', { taker: true });
   console.log(`Implied Odds: ${impliedOdds}`);
-  console.log(`Taker Odds: ${takerOdds}`);
+  console.log(`Taker Odds: ${takerOdds} (decimal ${takerDecimalOdds})`);
 };
 
 // Handle exit